@@ -7,7 +7,7 @@
  * - Carrinho de compras funcional
  * - Simulação de pagamento (Stripe/Mercado Pago)
  * - Validação e sanitização de inputs contra XSS
- * - Armazenamento seguro em localStorage
+ * - Armazenamento plugável (localStorage, IndexedDB ou API REST)
  * 
  * IMPORTANTE (Backend):
  * Em produção, as seguintes operações DEVEM ser implementadas no backend seguro:
@@ -26,14 +26,109 @@
 const STORAGE_KEY = 'lojaSeguraDados';
 const PAGAMENTO_CONFIG_KEY = 'lojaPagamentoConfig';
 
+// Quantidade a partir da qual o estoque de um item é considerado baixo
+const ESTOQUE_BAIXO_LIMITE = 5;
+
+// Chave do carrinho montado antes do login
+const CARRINHO_VISITANTE = 'visitante';
+// Carrinhos sem alteração há mais tempo que isso são descartados
+const CARRINHO_EXPIRACAO_DIAS = 30;
+
+// Sessões: id da sessão do navegador e limites de inatividade/duração
+const SESSAO_KEY = 'lojaSessao';
+const SESSAO_INATIVIDADE_MS = 30 * 60 * 1000;
+const SESSAO_INATIVIDADE_LEMBRAR_MS = 7 * 24 * 60 * 60 * 1000;
+const SESSAO_DURACAO_MAXIMA_MS = 12 * 60 * 60 * 1000;
+const SESSAO_DURACAO_MAXIMA_LEMBRAR_MS = 30 * 24 * 60 * 60 * 1000;
+const SESSAO_VERIFICACAO_INTERVALO_MS = 60 * 1000;
+
+// Limite de tentativas de login: atraso exponencial e bloqueio temporário
+const LOGIN_TENTATIVAS_KEY = 'lojaTentativasLogin';
+const LOGIN_ATRASO_BASE_MS = 1000;
+const LOGIN_ATRASO_MAXIMO_MS = 60 * 1000;
+const LOGIN_MAX_FALHAS_EMAIL = 5;
+const LOGIN_MAX_FALHAS_NAVEGADOR = 20;
+const LOGIN_BLOQUEIO_MS = 15 * 60 * 1000;
+// Mensagem única para não revelar se o email está cadastrado
+const LOGIN_ERRO_GENERICO = 'Email ou senha incorretos';
+
+// Permissões verificadas pelos handlers do painel
+const PERMISSOES = {
+    GERENCIAR_PRODUTORES: 'gerenciarProdutores',
+    GERENCIAR_ITENS: 'gerenciarItens',
+    VER_PEDIDOS: 'verPedidos',
+    GERENCIAR_PEDIDOS: 'gerenciarPedidos',
+    CONFIGURAR_PAGAMENTO: 'configurarPagamento',
+    GERENCIAR_SEGURANCA: 'gerenciarSeguranca',
+    GERENCIAR_EQUIPE: 'gerenciarEquipe',
+    EXPORTAR_DADOS: 'exportarDados',
+    BACKUP: 'backup',
+    GERENCIAR_CUPONS: 'gerenciarCupons',
+    CONFIGURAR_FRETE: 'configurarFrete'
+};
+
+// Papéis da equipe e o que cada um pode fazer
+const PAPEIS_EQUIPE = {
+    admin: {
+        nome: 'Administrador',
+        permissoes: Object.values(PERMISSOES)
+    },
+    gerente: {
+        nome: 'Gerente',
+        permissoes: [
+            PERMISSOES.GERENCIAR_PRODUTORES,
+            PERMISSOES.GERENCIAR_ITENS,
+            PERMISSOES.VER_PEDIDOS,
+            PERMISSOES.GERENCIAR_PEDIDOS,
+            PERMISSOES.GERENCIAR_SEGURANCA,
+            PERMISSOES.EXPORTAR_DADOS,
+            PERMISSOES.GERENCIAR_CUPONS,
+            PERMISSOES.CONFIGURAR_FRETE
+        ]
+    },
+    estoquista: {
+        nome: 'Estoquista',
+        permissoes: [PERMISSOES.GERENCIAR_ITENS]
+    },
+    financeiro: {
+        nome: 'Financeiro',
+        permissoes: [
+            PERMISSOES.VER_PEDIDOS,
+            PERMISSOES.GERENCIAR_PEDIDOS,
+            PERMISSOES.CONFIGURAR_PAGAMENTO,
+            PERMISSOES.EXPORTAR_DADOS
+        ]
+    }
+};
+
+// Pedidos por página na aba de pedidos do painel
+const PEDIDOS_POR_PAGINA = 20;
+
+// Ciclo de vida do pedido: status possíveis e para onde cada um pode seguir
+const STATUS_PEDIDO = {
+    pendente: { nome: 'Pendente', proximos: ['pago', 'cancelado'] },
+    pago: { nome: 'Pago', proximos: ['em_separacao', 'cancelado'] },
+    em_separacao: { nome: 'Em separação', proximos: ['enviado', 'cancelado'] },
+    enviado: { nome: 'Enviado', proximos: ['entregue'] },
+    entregue: { nome: 'Entregue', proximos: [] },
+    cancelado: { nome: 'Cancelado', proximos: ['reembolsado'] },
+    reembolsado: { nome: 'Reembolsado', proximos: [] }
+};
+
 // Estado global da aplicação
 let appState = {
     usuarioLogado: null,
     carrinho: [],
+    carrinhos: {},
+    sessoes: [],
+    tentativasLogin: {},
     produtores: [],
     usuarios: [],
     pedidos: [],
-    admin: null,
+    equipe: [],
+    categorias: [],
+    cupons: [],
+    frete: { zonas: [], freteGratisAcima: null, retiradaLocal: { ativa: false, endereco: '' } },
     configPagamento: {}
 };
 
@@ -53,6 +148,38 @@ function sanitizar(str) {
     return div.innerHTML;
 }
 
+/**
+ * Escapa texto para valores de atributo HTML entre aspas (data-*, value).
+ * sanitizar não escapa aspas: dados digitados por terceiros nunca vão para
+ * dentro de JavaScript inline; vão para um data-* lido pelo handler.
+ */
+function escaparAtributo(str) {
+    return String(str ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;');
+}
+
+/**
+ * Desfaz o escape de sanitizar. Textos são gravados já escapados; campos de
+ * edição precisam do texto original, senão salvar de novo gera &amp;amp;
+ */
+function decodificarHtml(str) {
+    if (typeof str !== 'string') return '';
+    const textarea = document.createElement('textarea');
+    textarea.innerHTML = str;
+    return textarea.value;
+}
+
+/**
+ * Minúsculas e sem acentos, para comparar textos digitados pelo usuário
+ */
+function normalizarBusca(texto) {
+    return String(texto ?? '').normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+}
+
 /**
  * Valida email com regex seguro
  */
@@ -68,12 +195,17 @@ function validarSenha(senha) {
     return typeof senha === 'string' && senha.length >= 6;
 }
 
+// Parâmetros do PBKDF2 para senhas novas (recomendação OWASP para SHA-256)
+const SENHA_ALGORITMO = 'PBKDF2-SHA256';
+const SENHA_ITERACOES = 600000;
+const SENHA_SALT_BYTES = 16;
+
 /**
- * Hash simples de senha (NÃO USAR EM PRODUÇÃO!)
- * Em produção, usar bcrypt ou Argon2 no backend
+ * Hash legado de 32 bits, sem salt (formato "hash_...")
+ * Mantido apenas para verificar contas antigas, que são
+ * convertidas para PBKDF2 no próximo login bem-sucedido
  */
 function hashSenhaSimples(senha) {
-    // Apenas uma demonstração - em produção usar backend com bcrypt
     let hash = 0;
     for (let i = 0; i < senha.length; i++) {
         const char = senha.charCodeAt(i);
@@ -83,6 +215,85 @@ function hashSenhaSimples(senha) {
     return 'hash_' + Math.abs(hash).toString(36);
 }
 
+function bufferParaBase64(buffer) {
+    return btoa(String.fromCharCode(...new Uint8Array(buffer)));
+}
+
+function base64ParaBytes(base64) {
+    return Uint8Array.from(atob(base64), c => c.charCodeAt(0));
+}
+
+async function derivarPbkdf2(senha, salt, iteracoes) {
+    const chave = await crypto.subtle.importKey(
+        'raw', new TextEncoder().encode(senha), 'PBKDF2', false, ['deriveBits']
+    );
+    const bits = await crypto.subtle.deriveBits(
+        { name: 'PBKDF2', hash: 'SHA-256', salt, iterations: iteracoes },
+        chave,
+        256
+    );
+    return bufferParaBase64(bits);
+}
+
+/**
+ * Gera a credencial de uma senha: PBKDF2 com salt aleatório
+ * Algoritmo, iterações e salt ficam gravados junto do hash
+ */
+async function gerarCredencialSenha(senha) {
+    const salt = crypto.getRandomValues(new Uint8Array(SENHA_SALT_BYTES));
+    return {
+        algoritmo: SENHA_ALGORITMO,
+        iteracoes: SENHA_ITERACOES,
+        salt: bufferParaBase64(salt),
+        hash: await derivarPbkdf2(senha, salt, SENHA_ITERACOES)
+    };
+}
+
+/**
+ * Comparação em tempo constante para não vazar o prefixo correto
+ */
+function compararSeguro(a, b) {
+    if (a.length !== b.length) return false;
+    let diferenca = 0;
+    for (let i = 0; i < a.length; i++) {
+        diferenca |= a.charCodeAt(i) ^ b.charCodeAt(i);
+    }
+    return diferenca === 0;
+}
+
+/**
+ * Verifica a senha de uma conta (usuário ou admin)
+ * Aceita a credencial PBKDF2 e o hash legado; precisaAtualizar indica
+ * que a conta deve receber uma credencial nova
+ */
+async function verificarSenha(conta, senha) {
+    if (conta.credencial) {
+        const { algoritmo, iteracoes, salt, hash } = conta.credencial;
+        if (algoritmo !== SENHA_ALGORITMO) {
+            return { valida: false, precisaAtualizar: false };
+        }
+        const calculado = await derivarPbkdf2(senha, base64ParaBytes(salt), iteracoes);
+        const valida = compararSeguro(calculado, hash);
+        return { valida, precisaAtualizar: valida && iteracoes < SENHA_ITERACOES };
+    }
+
+    if (typeof conta.senhaHash === 'string' && conta.senhaHash.startsWith('hash_')) {
+        const valida = compararSeguro(hashSenhaSimples(senha), conta.senhaHash);
+        return { valida, precisaAtualizar: valida };
+    }
+
+    return { valida: false, precisaAtualizar: false };
+}
+
+/**
+ * Troca a credencial antiga pela atual após um login bem-sucedido
+ */
+async function atualizarCredencialSeNecessario(conta, senha, verificacao) {
+    if (!verificacao.precisaAtualizar) return;
+    conta.credencial = await gerarCredencialSenha(senha);
+    delete conta.senhaHash;
+}
+
 /**
  * Valida dados de compra
  */
@@ -109,945 +320,6500 @@ function validarDadosCompra(dados) {
 }
 
 /**
- * Carrega dados do localStorage com validação
+ * Valida dados de produtor (cadastro e edição).
+ * produtorId identifica o próprio registro na checagem de email duplicado
  */
-function carregarDados() {
-    try {
-        const dados = localStorage.getItem(STORAGE_KEY);
-        if (dados) {
-            const parsed = JSON.parse(dados);
-            // Validação básica de estrutura
-            if (parsed.usuarios && Array.isArray(parsed.usuarios) &&
-                parsed.produtores && Array.isArray(parsed.produtores) &&
-                parsed.pedidos && Array.isArray(parsed.pedidos)) {
-                appState = parsed;
-                return;
-            }
-        }
-    } catch (e) {
-        console.error('Erro ao carregar dados:', e);
+function validarDadosProdutor(dados, produtorId = null) {
+    if (!dados.nome || dados.nome.length < 3) {
+        return { valido: false, erro: 'Nome deve ter pelo menos 3 caracteres' };
+    }
+    if (!validarEmail(dados.email)) {
+        return { valido: false, erro: 'Email inválido' };
+    }
+    if (appState.produtores.some(p => p.email === dados.email && p.id !== produtorId)) {
+        return { valido: false, erro: 'Email já cadastrado' };
+    }
+    return { valido: true };
+}
+
+/**
+ * Valida o perfil público do produtor (edição pelo admin)
+ */
+function validarPerfilProdutor(perfil) {
+    if (perfil.descricao.length > PERFIL_DESCRICAO_MAX) {
+        return { valido: false, erro: `Descrição deve ter no máximo ${PERFIL_DESCRICAO_MAX} caracteres` };
+    }
+    if (perfil.localizacao.length > PERFIL_LOCALIZACAO_MAX) {
+        return { valido: false, erro: `Localização deve ter no máximo ${PERFIL_LOCALIZACAO_MAX} caracteres` };
     }
-    // Se falhar, usar dados padrão
-    inicializarDadosParaao();
+    if (perfil.certificacoes.some(c => !CERTIFICACOES_PRODUTOR[c])) {
+        return { valido: false, erro: 'Certificação desconhecida' };
+    }
+    return { valido: true };
 }
 
 /**
- * Salva dados no localStorage
+ * Valida dados de item (cadastro e edição)
  */
-function salvarDados() {
-    try {
-        localStorage.setItem(STORAGE_KEY, JSON.stringify(appState));
-    } catch (e) {
-        console.error('Erro ao salvar dados:', e);
-        mostrarMensagem('Erro ao salvar dados', 'error');
+function validarDadosItem(dados) {
+    if (!dados.nome || !dados.descricao) {
+        return { valido: false, erro: 'Preencha todos os campos' };
+    }
+    if (!(dados.preco > 0)) {
+        return { valido: false, erro: 'Preço deve ser maior que zero' };
+    }
+    if (!Number.isInteger(dados.estoque) || dados.estoque < 0) {
+        return { valido: false, erro: 'Estoque deve ser um número inteiro maior ou igual a zero' };
+    }
+    // Peso é opcional (importações sem a coluna não o informam)
+    if (dados.pesoKg !== undefined && !(dados.pesoKg >= 0)) {
+        return { valido: false, erro: 'Peso deve ser um número maior ou igual a zero' };
     }
+    return { valido: true };
 }
 
 /**
- * Carrega configurações de pagamento
+ * Valida uma zona de frete (CEPs já normalizados para 8 dígitos)
  */
-function carregarConfigPagamento() {
-    try {
-        const config = localStorage.getItem(PAGAMENTO_CONFIG_KEY);
-        if (config) {
-            appState.configPagamento = JSON.parse(config);
-        } else {
-            appState.configPagamento = {
-                provedor: 'stripe',
-                stripePublicKey: 'pk_demo_12345',
-                mercadoPagoPublicKey: 'APP_USER_ID_DEMO'
-            };
+function validarZonaFrete(dados) {
+    if (!dados.nome || dados.nome.length < 2) {
+        return { valido: false, erro: 'Nome da zona deve ter no mínimo 2 caracteres' };
+    }
+    if (!dados.cepInicio || !dados.cepFim) {
+        return { valido: false, erro: 'Informe CEPs inicial e final com 8 dígitos' };
+    }
+    if (dados.cepFim < dados.cepInicio) {
+        return { valido: false, erro: 'O CEP final deve ser maior ou igual ao inicial' };
+    }
+    if ([dados.taxaBase, dados.taxaPorKg, dados.taxaPorItem].some(taxa => !(taxa >= 0))) {
+        return { valido: false, erro: 'Taxas devem ser maiores ou iguais a zero' };
+    }
+    if (!Number.isInteger(dados.prazoDias) || dados.prazoDias < 1) {
+        return { valido: false, erro: 'Prazo deve ser um número inteiro de dias maior que zero' };
+    }
+    return { valido: true };
+}
+
+/**
+ * Valida as regras de um cupom novo (código único, valores e datas coerentes)
+ */
+function validarDadosCupom(dados) {
+    if (!/^[A-Z0-9_-]{3,20}$/.test(dados.codigo)) {
+        return { valido: false, erro: 'Código deve ter de 3 a 20 letras, números, _ ou -' };
+    }
+    if (appState.cupons.some(c => c.codigo === dados.codigo)) {
+        return { valido: false, erro: 'Já existe um cupom com esse código' };
+    }
+    if (!TIPOS_CUPOM[dados.tipo]) {
+        return { valido: false, erro: 'Tipo de cupom inválido' };
+    }
+    if (dados.tipo === 'percentual' && !(dados.valor > 0 && dados.valor <= 100)) {
+        return { valido: false, erro: 'Percentual deve estar entre 0 e 100' };
+    }
+    if (dados.tipo === 'valor_fixo' && !(dados.valor > 0)) {
+        return { valido: false, erro: 'Valor do desconto deve ser maior que zero' };
+    }
+    if (!(dados.valorMinimo >= 0)) {
+        return { valido: false, erro: 'Valor mínimo não pode ser negativo' };
+    }
+    if (dados.validoDe && dados.validoAte && dados.validoAte < dados.validoDe) {
+        return { valido: false, erro: 'A data final deve ser igual ou posterior à inicial' };
+    }
+    for (let limite of [dados.limiteTotal, dados.limitePorCliente]) {
+        if (limite !== null && !(Number.isInteger(limite) && limite > 0)) {
+            return { valido: false, erro: 'Limites de uso devem ser números inteiros maiores que zero' };
         }
-    } catch (e) {
-        console.error('Erro ao carregar configurações:', e);
     }
+    return { valido: true };
 }
 
 // ========================================
-// INICIALIZAÇÃO COM DADOS DE EXEMPLO
+// ARMAZENAMENTO - ADAPTADORES
 // ========================================
 
-function inicializarDadosParaao() {
-    // Admin padrão (DEMO - em produção usar backend)
-    const admin = {
-        id: 'admin_001',
-        nome: 'Administrador',
-        email: 'admin@loja.com',
-        senhaHash: hashSenhaSimples('admin123'),
-        role: 'admin'
-    };
+/*
+ * Todo adaptador de armazenamento expõe a mesma interface:
+ *   carregar(): Promise<{ snapshot, bruto } | null>   (bruto = o payload como está gravado)
+ *   salvar(snapshot): Promise<void>
+ *   salvarBackup(bruto, rotulo): Promise<void>   (cópia do payload antes de migrar ou restaurar)
+ *   salvarImagem(id, imagem): Promise<void>      (imagem = { miniatura, detalhe } em data URL)
+ *   carregarImagem(id): Promise<imagem | null>
+ *   removerImagem(id): Promise<void>
+ *
+ * salvar() recebe referências ao estado vivo: deve copiar o que precisa
+ * antes do primeiro await, e gravações devem chegar na ordem das chamadas.
+ *
+ * O snapshot separa as coleções grandes do restante do estado:
+ *   { usuarios: [], produtores: [], pedidos: [], meta: { equipe, categorias, cupons, frete, carrinhos, sessoes, tentativasLogin, schemaVersion } }
+ *
+ * Imagens dos itens ficam fora do snapshot, cada uma no seu registro: os
+ * itens guardam só os ids (item.imagens) e o estado principal continua pequeno.
+ *
+ * O adaptador é escolhido em window.LOJA_CONFIG.armazenamento (ver index.html).
+ */
 
-    // Usuários de exemplo
-    const usuariosDemo = [
-        {
-            id: 'user_001',
-            nome: 'João Silva',
-            email: 'joao@example.com',
-            senhaHash: hashSenhaSimples('senha123'),
-            role: 'user',
-            pedidos: []
-        },
-        {
-            id: 'user_002',
-            nome: 'Maria Santos',
-            email: 'maria@example.com',
-            senhaHash: hashSenhaSimples('senha456'),
-            role: 'user',
-            pedidos: []
+// Coleções com registros identificados por id
+const COLECOES_PERSISTIDAS = ['usuarios', 'produtores', 'pedidos'];
+
+/**
+ * Converte o formato plano salvo em localStorage em snapshot.
+ * carrinho e usuarioLogado só existem em dados da versão 0 e são tratados pelas migrações
+ */
+function snapshotDeObjetoPlano(parsed) {
+    return {
+        usuarios: parsed.usuarios,
+        produtores: parsed.produtores,
+        pedidos: parsed.pedidos,
+        meta: {
+            admin: parsed.admin,
+            equipe: parsed.equipe,
+            categorias: parsed.categorias,
+            cupons: parsed.cupons,
+            frete: parsed.frete,
+            carrinhos: parsed.carrinhos,
+            sessoes: parsed.sessoes,
+            tentativasLogin: parsed.tentativasLogin,
+            carrinho: parsed.carrinho,
+            usuarioLogado: parsed.usuarioLogado,
+            schemaVersion: parsed.schemaVersion
         }
-    ];
+    };
+}
 
-    // Produtores de exemplo
-    const produtoresDemo = [
-        {
-            id: 'produtor_001',
-            nome: 'Fazenda Orgânica Verde',
-            email: 'contato@fazendaverde.com',
-            listaDeItens: [
-                {
-                    id: 'item_001',
-                    nome: 'Maçã Orgânica',
-                    descricao: 'Maçã vermelha fresca, colheita do mês',
-                    preco: 12.50,
-                    produtorId: 'produtor_001',
-                    disponivel: true
-                },
-                {
-                    id: 'item_002',
-                    nome: 'Cenoura Orgânica',
-                    descricao: 'Cenoura doce e crocante',
-                    preco: 8.00,
-                    produtorId: 'produtor_001',
-                    disponivel: true
-                }
-            ]
-        },
-        {
-            id: 'produtor_002',
-            nome: 'Laticínios Naturais',
-            email: 'vendas@lacticinionaturais.com',
-            listaDeItens: [
-                {
-                    id: 'item_003',
-                    nome: 'Queijo Meia Cura',
-                    descricao: 'Queijo artesanal, 500g',
-                    preco: 35.00,
-                    produtorId: 'produtor_002',
-                    disponivel: true
-                },
-                {
-                    id: 'item_004',
-                    nome: 'Leite Integral',
-                    descricao: 'Leite fresco, 1 litro',
-                    preco: 6.50,
-                    produtorId: 'produtor_002',
-                    disponivel: true
-                }
-            ]
-        },
-        {
-            id: 'produtor_003',
-            nome: 'Café Artesanal',
-            email: 'cafe@artesanal.com',
-            listaDeItens: [
-                {
-                    id: 'item_005',
-                    nome: 'Café Expresso',
-                    descricao: 'Café 100% arábica, 250g',
-                    preco: 28.00,
-                    produtorId: 'produtor_003',
-                    disponivel: true
-                }
-            ]
+/**
+ * Compara cada registro com a última versão gravada e devolve apenas
+ * o que mudou, para que os adaptadores não regravem o estado inteiro
+ */
+function calcularAlteracoes(snapshot, gravado) {
+    const alteracoes = { colecoes: {}, meta: null };
+
+    for (let colecao of COLECOES_PERSISTIDAS) {
+        const anterior = gravado.colecoes[colecao] || new Map();
+        const atual = new Map();
+        const salvar = [];
+
+        for (let registro of snapshot[colecao]) {
+            const json = JSON.stringify(registro);
+            atual.set(registro.id, json);
+            if (anterior.get(registro.id) !== json) {
+                salvar.push(JSON.parse(json));
+            }
         }
-    ];
+        const remover = [...anterior.keys()].filter(id => !atual.has(id));
 
-    appState = {
-        usuarioLogado: null,
-        carrinho: [],
-        produtores: produtoresDemo,
-        usuarios: usuariosDemo,
-        pedidos: [],
-        admin: admin,
-        configPagamento: {
-            provedor: 'stripe',
-            stripePublicKey: 'pk_demo_12345',
-            mercadoPagoPublicKey: 'APP_USER_ID_DEMO'
+        gravado.colecoes[colecao] = atual;
+        if (salvar.length > 0 || remover.length > 0) {
+            alteracoes.colecoes[colecao] = { salvar, remover, todos: [...atual.values()] };
         }
-    };
+    }
 
-    salvarDados();
+    const metaJson = JSON.stringify(snapshot.meta);
+    if (metaJson !== gravado.meta) {
+        gravado.meta = metaJson;
+        alteracoes.meta = JSON.parse(metaJson);
+    }
+    return alteracoes;
 }
 
-// ========================================
-// AUTENTICAÇÃO DE USUÁRIO
-// ========================================
+function registrarGravado(snapshot, gravado) {
+    for (let colecao of COLECOES_PERSISTIDAS) {
+        gravado.colecoes[colecao] = new Map(snapshot[colecao].map(r => [r.id, JSON.stringify(r)]));
+    }
+    gravado.meta = JSON.stringify(snapshot.meta);
+}
 
-function handleLoginForm(e) {
-    e.preventDefault();
-    const email = sanitizar(document.getElementById('loginEmail').value);
-    const senha = document.getElementById('loginPassword').value;
-    const msgEl = document.getElementById('loginMsg');
+/**
+ * localStorage: um único registro sob STORAGE_KEY (compatível com dados antigos)
+ */
+function criarArmazenamentoLocalStorage() {
+    return {
+        nome: 'localStorage',
+
+        async carregar() {
+            const dados = localStorage.getItem(STORAGE_KEY);
+            if (!dados) return null;
+            try {
+                return { snapshot: snapshotDeObjetoPlano(JSON.parse(dados)), bruto: dados };
+            } catch (e) {
+                // Preservar o texto original para a tela de recuperação
+                e.bruto = dados;
+                throw e;
+            }
+        },
 
-    if (!validarEmail(email)) {
-        mostrarMensagem('Email inválido', 'error', msgEl);
-        return;
+        async salvarBackup(bruto, rotulo) {
+            localStorage.setItem(`${STORAGE_KEY}_backup_${rotulo}`, bruto);
+        },
+
+        async salvarImagem(id, imagem) {
+            localStorage.setItem(`${STORAGE_KEY}_imagem_${id}`, JSON.stringify(imagem));
+        },
+
+        async carregarImagem(id) {
+            const dados = localStorage.getItem(`${STORAGE_KEY}_imagem_${id}`);
+            return dados ? JSON.parse(dados) : null;
+        },
+
+        async removerImagem(id) {
+            localStorage.removeItem(`${STORAGE_KEY}_imagem_${id}`);
+        },
+
+        async salvar(snapshot) {
+            localStorage.setItem(STORAGE_KEY, JSON.stringify({
+                usuarios: snapshot.usuarios,
+                produtores: snapshot.produtores,
+                pedidos: snapshot.pedidos,
+                ...snapshot.meta
+            }));
+        }
+    };
+}
+
+/**
+ * IndexedDB: um object store por coleção e um store "meta" para o restante
+ * Só os registros alterados desde a última gravação são escritos
+ */
+function criarArmazenamentoIndexedDB(config) {
+    const nomeBanco = config.nomeBanco || 'lojaSegura';
+    const gravado = { colecoes: {}, meta: null };
+    let bancoPromise = null;
+
+    function abrirBanco() {
+        if (!bancoPromise) {
+            bancoPromise = new Promise((resolve, reject) => {
+                const req = indexedDB.open(nomeBanco, 3);
+                req.onupgradeneeded = () => {
+                    const db = req.result;
+                    for (let colecao of COLECOES_PERSISTIDAS) {
+                        if (!db.objectStoreNames.contains(colecao)) {
+                            db.createObjectStore(colecao, { keyPath: 'id' });
+                        }
+                    }
+                    if (!db.objectStoreNames.contains('meta')) {
+                        db.createObjectStore('meta');
+                    }
+                    if (!db.objectStoreNames.contains('backups')) {
+                        db.createObjectStore('backups');
+                    }
+                    if (!db.objectStoreNames.contains('imagens')) {
+                        db.createObjectStore('imagens');
+                    }
+                };
+                req.onsuccess = () => resolve(req.result);
+                req.onerror = () => reject(req.error);
+            });
+        }
+        return bancoPromise;
     }
 
-    const usuario = appState.usuarios.find(u => u.email === email);
-    if (!usuario) {
-        mostrarMensagem('Usuário não encontrado', 'error', msgEl);
-        return;
+    function aguardarTransacao(tx) {
+        return new Promise((resolve, reject) => {
+            tx.oncomplete = () => resolve();
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error);
+        });
     }
 
-    // Comparar hash (simulado)
-    if (usuario.senhaHash !== hashSenhaSimples(senha)) {
-        mostrarMensagem('Senha incorreta', 'error', msgEl);
-        return;
+    function lerTudo(store) {
+        return new Promise((resolve, reject) => {
+            const req = store.getAll();
+            req.onsuccess = () => resolve(req.result);
+            req.onerror = () => reject(req.error);
+        });
     }
 
-    appState.usuarioLogado = usuario;
+    function lerChave(store, chave) {
+        return new Promise((resolve, reject) => {
+            const req = store.get(chave);
+            req.onsuccess = () => resolve(req.result);
+            req.onerror = () => reject(req.error);
+        });
+    }
+
+    return {
+        nome: 'indexedDB',
+
+        async carregar() {
+            const db = await abrirBanco();
+            const tx = db.transaction([...COLECOES_PERSISTIDAS, 'meta'], 'readonly');
+            const meta = await lerChave(tx.objectStore('meta'), 'estado');
+            if (!meta) return null;
+
+            const snapshot = { meta };
+            for (let colecao of COLECOES_PERSISTIDAS) {
+                snapshot[colecao] = await lerTudo(tx.objectStore(colecao));
+            }
+            registrarGravado(snapshot, gravado);
+            return { snapshot, bruto: JSON.stringify(snapshot) };
+        },
+
+        async salvar(snapshot) {
+            const alteracoes = calcularAlteracoes(snapshot, gravado);
+            const db = await abrirBanco();
+            const tx = db.transaction([...COLECOES_PERSISTIDAS, 'meta'], 'readwrite');
+
+            for (let colecao in alteracoes.colecoes) {
+                const store = tx.objectStore(colecao);
+                alteracoes.colecoes[colecao].salvar.forEach(registro => store.put(registro));
+                alteracoes.colecoes[colecao].remover.forEach(id => store.delete(id));
+            }
+            if (alteracoes.meta) {
+                tx.objectStore('meta').put(alteracoes.meta, 'estado');
+            }
+            try {
+                await aguardarTransacao(tx);
+            } catch (e) {
+                // Transação desfeita: a próxima gravação reescreve todos os registros
+                gravado.colecoes = {};
+                gravado.meta = null;
+                throw e;
+            }
+        },
+
+        async salvarBackup(bruto, rotulo) {
+            const db = await abrirBanco();
+            const tx = db.transaction('backups', 'readwrite');
+            tx.objectStore('backups').put({ data: new Date().toISOString(), bruto }, rotulo);
+            await aguardarTransacao(tx);
+        },
+
+        async salvarImagem(id, imagem) {
+            const db = await abrirBanco();
+            const tx = db.transaction('imagens', 'readwrite');
+            tx.objectStore('imagens').put(imagem, id);
+            await aguardarTransacao(tx);
+        },
+
+        async carregarImagem(id) {
+            const db = await abrirBanco();
+            const tx = db.transaction('imagens', 'readonly');
+            return (await lerChave(tx.objectStore('imagens'), id)) || null;
+        },
+
+        async removerImagem(id) {
+            const db = await abrirBanco();
+            const tx = db.transaction('imagens', 'readwrite');
+            tx.objectStore('imagens').delete(id);
+            await aguardarTransacao(tx);
+        }
+    };
+}
+
+/**
+ * REST: cada coleção é um recurso em {baseUrl}/{colecao}
+ * GET devolve o array (ou o objeto meta) e PUT substitui o conteúdo.
+ * Apenas coleções alteradas são enviadas. Imagens ficam em {baseUrl}/imagens/{id}.
+ */
+function criarArmazenamentoRest(config) {
+    const baseUrl = (config.baseUrl || '').replace(/\/+$/, '');
+    const gravado = { colecoes: {}, meta: null };
+    // Requisições em fila para que cheguem ao servidor na ordem em que foram feitas
+    let fila = Promise.resolve();
+
+    async function requisitar(metodo, recurso, corpo) {
+        const resposta = await fetch(`${baseUrl}/${recurso}`, {
+            method: metodo,
+            headers: { 'Content-Type': 'application/json', ...(config.headers || {}) },
+            credentials: 'include',
+            body: corpo === undefined ? undefined : JSON.stringify(corpo)
+        });
+        if (resposta.status === 404 && metodo === 'GET') return null;
+        if (!resposta.ok) {
+            throw new Error(`${metodo} ${recurso}: HTTP ${resposta.status}`);
+        }
+        return metodo === 'GET' ? resposta.json() : null;
+    }
+
+    return {
+        nome: 'rest',
+
+        async carregar() {
+            const meta = await requisitar('GET', 'meta');
+            if (!meta) return null;
+
+            const snapshot = { meta };
+            for (let colecao of COLECOES_PERSISTIDAS) {
+                snapshot[colecao] = (await requisitar('GET', colecao)) || [];
+            }
+            registrarGravado(snapshot, gravado);
+            return { snapshot, bruto: JSON.stringify(snapshot) };
+        },
+
+        salvar(snapshot) {
+            const alteracoes = calcularAlteracoes(snapshot, gravado);
+            const gravacao = fila.then(async () => {
+                for (let colecao in alteracoes.colecoes) {
+                    const registros = alteracoes.colecoes[colecao].todos.map(json => JSON.parse(json));
+                    await requisitar('PUT', colecao, registros);
+                }
+                if (alteracoes.meta) {
+                    await requisitar('PUT', 'meta', alteracoes.meta);
+                }
+            });
+            // Uma falha não deve travar as gravações seguintes; a próxima reenvia tudo
+            fila = gravacao.catch(() => {
+                gravado.colecoes = {};
+                gravado.meta = null;
+            });
+            return gravacao;
+        },
+
+        async salvarBackup(bruto, rotulo) {
+            await requisitar('PUT', `backups/${encodeURIComponent(rotulo)}`, {
+                data: new Date().toISOString(),
+                bruto
+            });
+        },
+
+        async salvarImagem(id, imagem) {
+            await requisitar('PUT', `imagens/${encodeURIComponent(id)}`, imagem);
+        },
+
+        async carregarImagem(id) {
+            return requisitar('GET', `imagens/${encodeURIComponent(id)}`);
+        },
+
+        async removerImagem(id) {
+            await requisitar('DELETE', `imagens/${encodeURIComponent(id)}`);
+        }
+    };
+}
+
+/**
+ * Cria o adaptador configurado na página, com localStorage como padrão
+ */
+function criarArmazenamento(config = {}) {
+    switch (config.tipo) {
+        case 'indexedDB':
+            if (typeof indexedDB === 'undefined') {
+                console.warn('IndexedDB indisponível, usando localStorage');
+                return criarArmazenamentoLocalStorage();
+            }
+            return criarArmazenamentoIndexedDB(config);
+        case 'rest':
+            if (!config.baseUrl) {
+                console.warn('armazenamento.baseUrl não configurado, usando localStorage');
+                return criarArmazenamentoLocalStorage();
+            }
+            return criarArmazenamentoRest(config);
+        default:
+            return criarArmazenamentoLocalStorage();
+    }
+}
+
+const armazenamento = criarArmazenamento((window.LOJA_CONFIG && window.LOJA_CONFIG.armazenamento) || {});
+
+// ========================================
+// ARMAZENAMENTO - MIGRAÇÕES DE ESQUEMA
+// ========================================
+
+/*
+ * Cada migração leva o snapshot da versão anterior para `versao`.
+ * Dados sem schemaVersion são da versão 0. Novas migrações entram
+ * sempre no fim da lista; nunca editar uma migração já publicada.
+ */
+const MIGRACOES = [
+    {
+        versao: 1,
+        descricao: 'Quantidade em estoque por item',
+        migrar(snapshot) {
+            // Antes cada item era uma unidade: disponivel = em estoque
+            for (let produtor of snapshot.produtores) {
+                for (let item of produtor.listaDeItens || []) {
+                    if (typeof item.estoque !== 'number' || item.estoque < 0) {
+                        item.estoque = item.disponivel ? 1 : 0;
+                    }
+                }
+            }
+        }
+    },
+    {
+        versao: 2,
+        descricao: 'Carrinhos salvos por usuário',
+        migrar(snapshot) {
+            snapshot.meta.carrinhos = snapshot.meta.carrinhos || {};
+
+            // O carrinho único da versão 0 (itens inteiros, uma unidade cada)
+            // passa a ser de quem estava logado, ou do visitante
+            const legado = snapshot.meta.carrinho;
+            delete snapshot.meta.carrinho;
+            if (!Array.isArray(legado) || legado.length === 0) return;
+
+            const dono = snapshot.meta.usuarioLogado;
+            const chave = dono && dono.role === 'user' ? dono.id : 'visitante';
+            if (snapshot.meta.carrinhos[chave]) return;
+
+            const linhas = legado.filter(item => item && item.id).map(item => {
+                const produtor = snapshot.produtores.find(p => (p.listaDeItens || []).some(i => i.id === item.id));
+                return {
+                    id: item.id,
+                    nome: item.nome,
+                    preco: item.preco,
+                    produtorId: produtor ? produtor.id : null,
+                    produtorNome: produtor ? produtor.nome : item.produtorNome,
+                    quantidade: 1
+                };
+            });
+            snapshot.meta.carrinhos[chave] = { linhas, atualizadoEm: new Date().toISOString() };
+        }
+    },
+    {
+        versao: 3,
+        descricao: 'Quantidade e preço unitário nas linhas de pedido',
+        migrar(snapshot) {
+            for (let pedido of snapshot.pedidos) {
+                for (let linha of pedido.itens || []) {
+                    linha.quantidade = linha.quantidade || 1;
+                    linha.precoUnitario = linha.precoUnitario ?? linha.preco;
+                    linha.subtotal = linha.subtotal ?? linha.precoUnitario * linha.quantidade;
+                }
+            }
+        }
+    },
+    {
+        versao: 4,
+        descricao: 'Sessões com expiração no lugar do usuário logado',
+        migrar(snapshot) {
+            // A versão 0 gravava a conta logada inteira, com o hash da senha:
+            // ela sai dos dados e quem estava logado precisa entrar de novo
+            delete snapshot.meta.usuarioLogado;
+            snapshot.meta.sessoes = snapshot.meta.sessoes || [];
+        }
+    },
+    {
+        versao: 5,
+        descricao: 'Contadores de tentativas de login por email',
+        migrar(snapshot) {
+            snapshot.meta.tentativasLogin = snapshot.meta.tentativasLogin || {};
+        }
+    },
+    {
+        versao: 6,
+        descricao: 'Equipe com vários membros e papéis',
+        migrar(snapshot) {
+            // O admin único vira o primeiro membro da equipe, com acesso total
+            if (!snapshot.meta.equipe) {
+                snapshot.meta.equipe = snapshot.meta.admin
+                    ? [{ ...snapshot.meta.admin, role: 'admin', ativo: true }]
+                    : [];
+            }
+            delete snapshot.meta.admin;
+        }
+    },
+    {
+        versao: 7,
+        descricao: 'Produtores com conta própria e aprovação',
+        migrar(snapshot) {
+            // Produtores já cadastrados pelo admin continuam à venda
+            for (let produtor of snapshot.produtores) {
+                produtor.role = 'produtor';
+                produtor.status = produtor.status || 'aprovado';
+            }
+        }
+    },
+    {
+        versao: 8,
+        descricao: 'Histórico de preços por item',
+        migrar(snapshot) {
+            for (let produtor of snapshot.produtores) {
+                for (let item of produtor.listaDeItens) {
+                    item.historicoPrecos = item.historicoPrecos || [];
+                }
+            }
+        }
+    },
+    {
+        versao: 9,
+        descricao: 'Status de pedido com histórico',
+        migrar(snapshot) {
+            // Pedidos 'confirmado' foram gravados só após o pagamento aprovado
+            for (let pedido of snapshot.pedidos) {
+                if (pedido.status === 'confirmado' || !STATUS_PEDIDO[pedido.status]) {
+                    pedido.status = 'pago';
+                }
+                pedido.historicoStatus = pedido.historicoStatus ||
+                    [{ status: pedido.status, data: pedido.data, autor: 'Sistema' }];
+            }
+        }
+    },
+    {
+        versao: 10,
+        descricao: 'Data de cadastro dos itens',
+        migrar(snapshot) {
+            // Ids gerados pela loja carregam o timestamp de criação (item_<ms>)
+            for (let produtor of snapshot.produtores) {
+                for (let item of produtor.listaDeItens) {
+                    const timestamp = /^item_(\d{13})/.exec(item.id);
+                    item.criadoEm = item.criadoEm || (timestamp ? new Date(Number(timestamp[1])).toISOString() : null);
+                }
+            }
+        }
+    },
+    {
+        versao: 11,
+        descricao: 'Categorias e tags dos itens',
+        migrar(snapshot) {
+            snapshot.meta.categorias = snapshot.meta.categorias || [];
+            for (let produtor of snapshot.produtores) {
+                for (let item of produtor.listaDeItens) {
+                    item.categoriaId = item.categoriaId || null;
+                    item.tags = item.tags || [];
+                }
+            }
+        }
+    },
+    {
+        versao: 12,
+        descricao: 'Imagens dos itens',
+        migrar(snapshot) {
+            for (let produtor of snapshot.produtores) {
+                for (let item of produtor.listaDeItens) {
+                    item.imagens = item.imagens || [];
+                }
+            }
+        }
+    },
+    {
+        versao: 13,
+        descricao: 'Perfil público dos produtores',
+        migrar(snapshot) {
+            for (let produtor of snapshot.produtores) {
+                produtor.perfil = produtor.perfil || { descricao: '', localizacao: '', fotoId: null, certificacoes: [] };
+            }
+        }
+    },
+    {
+        versao: 14,
+        descricao: 'Cupons de desconto',
+        migrar(snapshot) {
+            snapshot.meta.cupons = snapshot.meta.cupons || [];
+        }
+    },
+    {
+        versao: 15,
+        descricao: 'Regras de frete e peso dos itens',
+        migrar(snapshot) {
+            snapshot.meta.frete = snapshot.meta.frete ||
+                { zonas: [], freteGratisAcima: null, retiradaLocal: { ativa: false, endereco: '' } };
+            for (let produtor of snapshot.produtores) {
+                for (let item of produtor.listaDeItens) {
+                    item.pesoKg = item.pesoKg || 0;
+                }
+            }
+        }
+    }
+];
+
+const SCHEMA_VERSION = MIGRACOES[MIGRACOES.length - 1].versao;
+
+// Ativado quando os dados salvos não puderam ser abertos
+let modoRecuperacao = false;
+let dadosBrutosRecuperacao = null;
+
+/**
+ * Aplica em ordem as migrações posteriores à versão do snapshot
+ */
+function migrarSnapshot(snapshot) {
+    if (!snapshot.meta) {
+        throw new Error('Estrutura de dados inválida: meta ausente');
+    }
+    let versao = snapshot.meta.schemaVersion || 0;
+    for (let migracao of MIGRACOES) {
+        if (migracao.versao <= versao) continue;
+        try {
+            migracao.migrar(snapshot);
+        } catch (e) {
+            throw new Error(`Falha na migração ${migracao.versao} (${migracao.descricao}): ${e.message}`);
+        }
+        versao = migracao.versao;
+        snapshot.meta.schemaVersion = versao;
+    }
+}
+
+/**
+ * Exibe a tela de recuperação no lugar da loja
+ * Nada é gravado enquanto ela estiver ativa
+ */
+function mostrarTelaRecuperacao(mensagem, bruto) {
+    modoRecuperacao = true;
+    dadosBrutosRecuperacao = bruto;
+
+    document.getElementById('recuperacaoErro').textContent = mensagem;
+    document.getElementById('recuperacaoBaixarBtn').style.display = bruto ? 'inline-block' : 'none';
+    document.querySelector('.nav').style.display = 'none';
+    document.querySelectorAll('.section').forEach(s => s.classList.remove('active'));
+    document.getElementById('recuperacaoSection').classList.add('active');
+}
+
+function baixarDadosRecuperacao() {
+    if (!dadosBrutosRecuperacao) return;
+    baixarArquivo(`loja-dados-${Date.now()}.json`, dadosBrutosRecuperacao, 'application/json');
+}
+
+/**
+ * Descarta os dados ilegíveis (guardando uma cópia) e recomeça com a demonstração
+ */
+async function recomecarComDadosDemo() {
+    if (!confirm('Os dados atuais serão substituídos pelos dados de demonstração. Continuar?')) {
+        return;
+    }
+    try {
+        if (dadosBrutosRecuperacao) {
+            await armazenamento.salvarBackup(dadosBrutosRecuperacao, `recuperacao_${Date.now()}`);
+        }
+    } catch (e) {
+        console.error('Erro ao guardar cópia dos dados:', e);
+        if (!confirm('Não foi possível guardar uma cópia dos dados atuais. Substituir mesmo assim?')) {
+            return;
+        }
+    }
+    modoRecuperacao = false;
+    await inicializarDadosParaao();
+    location.reload();
+}
+
+/**
+ * Oferece um conteúdo gerado no navegador como download
+ */
+function baixarArquivo(nomeArquivo, conteudo, tipo) {
+    const blob = new Blob([conteudo], { type: tipo });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = nomeArquivo;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+/**
+ * Carrega dados do armazenamento configurado, aplicando migrações de esquema
+ * Retorna false quando os dados existem mas não puderam ser abertos;
+ * nesse caso a tela de recuperação é exibida e nada é sobrescrito.
+ */
+async function carregarDados() {
+    let carregado;
+    let importado = false;
+    try {
+        carregado = await armazenamento.carregar();
+
+        // Primeira execução com outro backend: aproveitar os dados do localStorage
+        if (!carregado && armazenamento.nome !== 'localStorage') {
+            carregado = await criarArmazenamentoLocalStorage().carregar();
+            importado = !!carregado;
+        }
+    } catch (e) {
+        console.error('Erro ao carregar dados:', e);
+        mostrarTelaRecuperacao('Não foi possível ler os dados salvos: ' + e.message, e.bruto || null);
+        return false;
+    }
+
+    // Nada salvo ainda: primeira execução da loja
+    if (!carregado) {
+        await inicializarDadosParaao();
+        return true;
+    }
+
+    // A cópia de segurança é o payload original, no formato em que foi gravado
+    const { snapshot, bruto } = carregado;
+    try {
+        const versaoGravada = (snapshot.meta && snapshot.meta.schemaVersion) || 0;
+        const precisaMigrar = versaoGravada < SCHEMA_VERSION;
+
+        if (versaoGravada > SCHEMA_VERSION) {
+            throw new Error(`Os dados foram gravados por uma versão mais nova da loja (esquema ${versaoGravada})`);
+        }
+
+        if (precisaMigrar) {
+            // Sem cópia de segurança, não migrar
+            await armazenamento.salvarBackup(bruto, `v${versaoGravada}`);
+            migrarSnapshot(snapshot);
+        }
+
+        aplicarSnapshot(snapshot);
+
+        if (precisaMigrar || importado) {
+            salvarDados();
+        }
+        return true;
+    } catch (e) {
+        console.error('Erro ao migrar dados:', e);
+        mostrarTelaRecuperacao(e.message, bruto);
+        return false;
+    }
+}
+
+/**
+ * Monta o appState a partir de um snapshot validado
+ */
+function aplicarSnapshot(snapshot) {
+    // Validação básica de estrutura
+    if (!Array.isArray(snapshot.usuarios) ||
+        !Array.isArray(snapshot.produtores) ||
+        !Array.isArray(snapshot.pedidos) ||
+        !snapshot.meta) {
+        throw new Error('Estrutura de dados inválida: usuarios, produtores ou pedidos ausentes');
+    }
+
+    const meta = snapshot.meta;
+    appState = {
+        usuarioLogado: null,
+        carrinho: [],
+        carrinhos: meta.carrinhos || {},
+        sessoes: meta.sessoes || [],
+        tentativasLogin: meta.tentativasLogin || {},
+        produtores: snapshot.produtores,
+        usuarios: snapshot.usuarios,
+        pedidos: snapshot.pedidos,
+        equipe: meta.equipe || [],
+        categorias: meta.categorias || [],
+        cupons: meta.cupons || [],
+        frete: meta.frete || criarConfigFreteVazia(),
+        configPagamento: {}
+    };
+}
+
+/**
+ * Extrai do appState apenas o que deve ser persistido
+ * (o usuário logado é derivado da sessão do navegador)
+ */
+function criarSnapshot() {
+    return {
+        usuarios: appState.usuarios,
+        produtores: appState.produtores,
+        pedidos: appState.pedidos,
+        meta: {
+            equipe: appState.equipe,
+            categorias: appState.categorias,
+            cupons: appState.cupons,
+            frete: appState.frete,
+            carrinhos: appState.carrinhos,
+            sessoes: appState.sessoes,
+            tentativasLogin: appState.tentativasLogin,
+            schemaVersion: SCHEMA_VERSION
+        }
+    };
+}
+
+/**
+ * Salva dados no armazenamento configurado
+ */
+function salvarDados() {
+    // Com dados não carregados, gravar apagaria o que ainda pode ser recuperado
+    if (modoRecuperacao) {
+        return Promise.resolve();
+    }
+    return armazenamento.salvar(criarSnapshot()).catch(e => {
+        console.error('Erro ao salvar dados:', e);
+        mostrarMensagem('Erro ao salvar dados', 'error');
+    });
+}
+
+/**
+ * Carrega configurações de pagamento
+ */
+function carregarConfigPagamento() {
+    try {
+        const config = localStorage.getItem(PAGAMENTO_CONFIG_KEY);
+        if (config) {
+            appState.configPagamento = JSON.parse(config);
+        } else {
+            appState.configPagamento = {
+                provedor: 'stripe',
+                stripePublicKey: 'pk_demo_12345',
+                mercadoPagoPublicKey: 'APP_USER_ID_DEMO'
+            };
+        }
+    } catch (e) {
+        console.error('Erro ao carregar configurações:', e);
+    }
+}
+
+// ========================================
+// INICIALIZAÇÃO COM DADOS DE EXEMPLO
+// ========================================
+
+async function inicializarDadosParaao() {
+    // Admin padrão (DEMO - em produção usar backend)
+    const admin = {
+        id: 'admin_001',
+        nome: 'Administrador',
+        email: 'admin@loja.com',
+        credencial: await gerarCredencialSenha('admin123'),
+        role: 'admin',
+        ativo: true
+    };
+
+    // Usuários de exemplo
+    const usuariosDemo = [
+        {
+            id: 'user_001',
+            nome: 'João Silva',
+            email: 'joao@example.com',
+            credencial: await gerarCredencialSenha('senha123'),
+            role: 'user',
+            pedidos: []
+        },
+        {
+            id: 'user_002',
+            nome: 'Maria Santos',
+            email: 'maria@example.com',
+            credencial: await gerarCredencialSenha('senha456'),
+            role: 'user',
+            pedidos: []
+        }
+    ];
+
+    // Categorias de exemplo (paiId null = categoria raiz)
+    const categoriasDemo = [
+        { id: 'cat_hortifruti', nome: 'Hortifrúti', paiId: null },
+        { id: 'cat_frutas', nome: 'Frutas', paiId: 'cat_hortifruti' },
+        { id: 'cat_legumes', nome: 'Legumes', paiId: 'cat_hortifruti' },
+        { id: 'cat_laticinios', nome: 'Laticínios', paiId: null },
+        { id: 'cat_cafe', nome: 'Café', paiId: null }
+    ];
+
+    // Frete de exemplo: a capital fica dentro da faixa do Sudeste e a mais estreita vale
+    const freteDemo = {
+        zonas: [
+            { id: 'zona_sp_capital', nome: 'São Paulo (capital)', cepInicio: '01000000', cepFim: '05999999',
+                taxaBase: 12, taxaPorKg: 1.5, taxaPorItem: 0, prazoDias: 2 },
+            { id: 'zona_sudeste', nome: 'Sudeste', cepInicio: '01000000', cepFim: '39999999',
+                taxaBase: 20, taxaPorKg: 3, taxaPorItem: 0.5, prazoDias: 5 },
+            { id: 'zona_brasil', nome: 'Demais regiões', cepInicio: '01000000', cepFim: '99999999',
+                taxaBase: 35, taxaPorKg: 5, taxaPorItem: 1, prazoDias: 10 }
+        ],
+        freteGratisAcima: 200,
+        retiradaLocal: { ativa: true, endereco: 'Feira do Produtor - Rua das Flores, 100, São Paulo - SP' }
+    };
+
+    // Produtores de exemplo
+    const produtoresDemo = [
+        {
+            id: 'produtor_001',
+            nome: 'Fazenda Orgânica Verde',
+            email: 'contato@fazendaverde.com',
+            role: 'produtor',
+            status: 'aprovado',
+            perfil: {
+                descricao: 'Família Oliveira cultivando frutas e hortaliças sem agrotóxicos desde 1998.',
+                localizacao: 'Ibiúna, SP',
+                fotoId: null,
+                certificacoes: ['organico', 'familiar']
+            },
+            listaDeItens: [
+                {
+                    id: 'item_001',
+                    nome: 'Maçã Orgânica',
+                    descricao: 'Maçã vermelha fresca, colheita do mês',
+                    preco: 12.50,
+                    produtorId: 'produtor_001',
+                    disponivel: true,
+                    estoque: 40,
+                    pesoKg: 1,
+                    historicoPrecos: [],
+                    categoriaId: 'cat_frutas',
+                    tags: ['orgânico'],
+                    imagens: []
+                },
+                {
+                    id: 'item_002',
+                    nome: 'Cenoura Orgânica',
+                    descricao: 'Cenoura doce e crocante',
+                    preco: 8.00,
+                    produtorId: 'produtor_001',
+                    disponivel: true,
+                    estoque: 25,
+                    pesoKg: 1,
+                    historicoPrecos: [],
+                    categoriaId: 'cat_legumes',
+                    tags: ['orgânico'],
+                    imagens: []
+                }
+            ]
+        },
+        {
+            id: 'produtor_002',
+            nome: 'Laticínios Naturais',
+            email: 'vendas@lacticinionaturais.com',
+            role: 'produtor',
+            status: 'aprovado',
+            perfil: {
+                descricao: 'Queijos e leite de um pequeno rebanho criado a pasto.',
+                localizacao: 'Serro, MG',
+                fotoId: null,
+                certificacoes: ['artesanal']
+            },
+            listaDeItens: [
+                {
+                    id: 'item_003',
+                    nome: 'Queijo Meia Cura',
+                    descricao: 'Queijo artesanal, 500g',
+                    preco: 35.00,
+                    produtorId: 'produtor_002',
+                    disponivel: true,
+                    estoque: 8,
+                    pesoKg: 0.5,
+                    historicoPrecos: [],
+                    categoriaId: 'cat_laticinios',
+                    tags: ['artesanal'],
+                    imagens: []
+                },
+                {
+                    id: 'item_004',
+                    nome: 'Leite Integral',
+                    descricao: 'Leite fresco, 1 litro',
+                    preco: 6.50,
+                    produtorId: 'produtor_002',
+                    disponivel: true,
+                    estoque: 3,
+                    pesoKg: 1,
+                    historicoPrecos: [],
+                    categoriaId: 'cat_laticinios',
+                    tags: [],
+                    imagens: []
+                }
+            ]
+        },
+        {
+            id: 'produtor_003',
+            nome: 'Café Artesanal',
+            email: 'cafe@artesanal.com',
+            role: 'produtor',
+            status: 'aprovado',
+            perfil: {
+                descricao: 'Café especial colhido a mão e torrado em pequenos lotes.',
+                localizacao: 'Carmo de Minas, MG',
+                fotoId: null,
+                certificacoes: ['artesanal', 'comercio_justo']
+            },
+            listaDeItens: [
+                {
+                    id: 'item_005',
+                    nome: 'Café Expresso',
+                    descricao: 'Café 100% arábica, 250g',
+                    preco: 28.00,
+                    produtorId: 'produtor_003',
+                    disponivel: true,
+                    estoque: 15,
+                    pesoKg: 0.5,
+                    historicoPrecos: [],
+                    categoriaId: 'cat_cafe',
+                    tags: ['artesanal', 'arábica'],
+                    imagens: []
+                }
+            ]
+        }
+    ];
+
+    appState = {
+        usuarioLogado: null,
+        carrinho: [],
+        carrinhos: {},
+        sessoes: [],
+        tentativasLogin: {},
+        produtores: produtoresDemo,
+        usuarios: usuariosDemo,
+        pedidos: [],
+        equipe: [admin],
+        categorias: categoriasDemo,
+        cupons: [],
+        frete: freteDemo,
+        configPagamento: {
+            provedor: 'stripe',
+            stripePublicKey: 'pk_demo_12345',
+            mercadoPagoPublicKey: 'APP_USER_ID_DEMO'
+        }
+    };
+
+    return salvarDados();
+}
+
+// ========================================
+// AUTENTICAÇÃO DE USUÁRIO
+// ========================================
+
+async function handleLoginForm(e) {
+    e.preventDefault();
+    const email = sanitizar(document.getElementById('loginEmail').value);
+    const senha = document.getElementById('loginPassword').value;
+    const lembrar = document.getElementById('loginLembrar').checked;
+    const msgEl = document.getElementById('loginMsg');
+
+    if (!validarEmail(email)) {
+        mostrarMensagem('Email inválido', 'error', msgEl);
+        return;
+    }
+
+    const usuario = appState.usuarios.find(u => u.email === email) || null;
+    const resultado = await autenticar(email, senha, usuario);
+    if (resultado.erro) {
+        mostrarMensagem(resultado.erro, 'error', msgEl);
+        return;
+    }
+
+    iniciarSessao(usuario, lembrar);
+    restaurarCarrinhoUsuario(usuario.id);
+    salvarDados();
+    mostrarMensagem('Login realizado com sucesso!', 'success', msgEl);
+    atualizarUI();
+    fecharLoginModal();
+    setTimeout(() => msgEl.textContent = '', 3000);
+}
+
+async function handleRegistroForm(e) {
+    e.preventDefault();
+    const nome = sanitizar(document.getElementById('registroNome').value);
+    const email = sanitizar(document.getElementById('registroEmail').value);
+    const senha = document.getElementById('registroSenha').value;
+    const confirmar = document.getElementById('registroConfirm').value;
+    const msgEl = document.getElementById('registroMsg');
+
+    if (!nome || nome.length < 3) {
+        mostrarMensagem('Nome deve ter pelo menos 3 caracteres', 'error', msgEl);
+        return;
+    }
+    if (!validarEmail(email)) {
+        mostrarMensagem('Email inválido', 'error', msgEl);
+        return;
+    }
+    if (!validarSenha(senha)) {
+        mostrarMensagem('Senha deve ter pelo menos 6 caracteres', 'error', msgEl);
+        return;
+    }
+    if (senha !== confirmar) {
+        mostrarMensagem('Senhas não coincidem', 'error', msgEl);
+        return;
+    }
+
+    if (appState.usuarios.some(u => u.email === email)) {
+        mostrarMensagem('Email já registrado', 'error', msgEl);
+        return;
+    }
+
+    // Criar novo usuário
+    const novoUsuario = {
+        id: 'user_' + Date.now(),
+        nome,
+        email,
+        credencial: await gerarCredencialSenha(senha),
+        role: 'user',
+        pedidos: []
+    };
+
+    appState.usuarios.push(novoUsuario);
+    iniciarSessao(novoUsuario, false);
+    restaurarCarrinhoUsuario(novoUsuario.id);
+    salvarDados();
+    mostrarMensagem('Cadastro realizado com sucesso!', 'success', msgEl);
+    document.getElementById('registroForm').reset();
+    atualizarUI();
+    fecharLoginModal();
+    setTimeout(() => msgEl.textContent = '', 3000);
+}
+
+async function handleLoginAdminForm(e) {
+    e.preventDefault();
+    const email = sanitizar(document.getElementById('loginAdminEmail').value);
+    const senha = document.getElementById('loginAdminPassword').value;
+    const msgEl = document.getElementById('loginAdminMsg');
+
+    if (!validarEmail(email)) {
+        mostrarMensagem('Email inválido', 'error', msgEl);
+        return;
+    }
+
+    const membro = appState.equipe.find(m => m.email === email && m.ativo !== false) || null;
+    const resultado = await autenticar(email, senha, membro);
+    if (resultado.erro) {
+        mostrarMensagem(resultado.erro, 'error', msgEl);
+        return;
+    }
+
+    iniciarSessao(membro, false);
+    restaurarCarrinhoUsuario(membro.id);
+    salvarDados();
+    mostrarMensagem('Login admin realizado com sucesso!', 'success', msgEl);
+    atualizarUI();
+    fecharLoginModal();
+    setTimeout(() => msgEl.textContent = '', 3000);
+}
+
+function handleLogout() {
+    // O carrinho do usuário fica guardado para o próximo login
+    persistirCarrinho();
+    encerrarSessao();
+    appState.carrinho = [];
+    salvarDados();
+    atualizarUI();
+    mostrarSecao('loja');
+}
+
+// ========================================
+// AUTENTICAÇÃO DE PRODUTOR
+// ========================================
+
+async function handleLoginProdutorForm(e) {
+    e.preventDefault();
+    const email = sanitizar(document.getElementById('loginProdutorEmail').value);
+    const senha = document.getElementById('loginProdutorPassword').value;
+    const msgEl = document.getElementById('loginProdutorMsg');
+
+    if (!validarEmail(email)) {
+        mostrarMensagem('Email inválido', 'error', msgEl);
+        return;
+    }
+
+    // Produtores cadastrados pelo admin só entram depois que ele definir uma senha
+    const produtor = appState.produtores.find(p => p.email === email && p.credencial) || null;
+    const resultado = await autenticar(email, senha, produtor);
+    if (resultado.erro) {
+        mostrarMensagem(resultado.erro, 'error', msgEl);
+        return;
+    }
+    if (produtor.status === 'rejeitado') {
+        mostrarMensagem('Cadastro de produtor não aprovado. Fale com a loja.', 'error', msgEl);
+        return;
+    }
+    if (produtor.arquivado) {
+        mostrarMensagem('Conta de produtor desativada. Fale com a loja.', 'error', msgEl);
+        return;
+    }
+
+    iniciarSessao(produtor, false);
+    restaurarCarrinhoUsuario(produtor.id);
+    salvarDados();
+    mostrarMensagem('Login realizado com sucesso!', 'success', msgEl);
+    atualizarUI();
+    fecharLoginModal();
+    mostrarSecao('produtor');
+    setTimeout(() => msgEl.textContent = '', 3000);
+}
+
+async function handleRegistroProdutorForm(e) {
+    e.preventDefault();
+    const nome = sanitizar(document.getElementById('registroProdutorNome').value);
+    const email = sanitizar(document.getElementById('registroProdutorEmail').value);
+    const senha = document.getElementById('registroProdutorSenha').value;
+    const confirmar = document.getElementById('registroProdutorConfirm').value;
+    const msgEl = document.getElementById('registroProdutorMsg');
+
+    const validacao = validarDadosProdutor({ nome, email });
+    if (!validacao.valido) {
+        mostrarMensagem(validacao.erro, 'error', msgEl);
+        return;
+    }
+    if (!validarSenha(senha)) {
+        mostrarMensagem('Senha deve ter pelo menos 6 caracteres', 'error', msgEl);
+        return;
+    }
+    if (senha !== confirmar) {
+        mostrarMensagem('Senhas não coincidem', 'error', msgEl);
+        return;
+    }
+
+    // Novo produtor aguarda aprovação antes de aparecer na loja
+    const novoProdutor = {
+        id: 'produtor_' + Date.now(),
+        nome,
+        email,
+        role: 'produtor',
+        status: 'pendente',
+        credencial: await gerarCredencialSenha(senha),
+        perfil: criarPerfilProdutorVazio(),
+        listaDeItens: []
+    };
+
+    appState.produtores.push(novoProdutor);
+    iniciarSessao(novoProdutor, false);
+    restaurarCarrinhoUsuario(novoProdutor.id);
+    salvarDados();
+    mostrarMensagem('Cadastro enviado! Seus itens aparecerão na loja após aprovação.', 'success', msgEl);
+    document.getElementById('registroProdutorForm').reset();
+    atualizarUI();
+    fecharLoginModal();
+    mostrarSecao('produtor');
+    setTimeout(() => msgEl.textContent = '', 3000);
+}
+
+// ========================================
+// SESSÕES
+// ========================================
+
+// Id da sessão deste navegador (o token em si nunca sai do appState.sessoes)
+let sessaoAtualId = null;
+
+function gerarIdSessao() {
+    const bytes = crypto.getRandomValues(new Uint8Array(32));
+    return bufferParaBase64(bytes).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function sessaoExpirada(sessao, agora = Date.now()) {
+    const inatividade = sessao.lembrar ? SESSAO_INATIVIDADE_LEMBRAR_MS : SESSAO_INATIVIDADE_MS;
+    const duracaoMaxima = sessao.lembrar ? SESSAO_DURACAO_MAXIMA_LEMBRAR_MS : SESSAO_DURACAO_MAXIMA_MS;
+    return agora - new Date(sessao.ultimoAcesso).getTime() > inatividade ||
+        agora - new Date(sessao.criadaEm).getTime() > duracaoMaxima;
+}
+
+/**
+ * Localiza a conta (membro da equipe ou cliente) pelo id
+ */
+function buscarConta(contaId) {
+    return appState.equipe.find(m => m.id === contaId) ||
+        appState.usuarios.find(u => u.id === contaId) ||
+        appState.produtores.find(p => p.id === contaId && p.credencial) ||
+        null;
+}
+
+/**
+ * Cria uma sessão para a conta e a associa a este navegador
+ * "Lembrar de mim" guarda o id em localStorage; sem ele, a sessão
+ * vive apenas enquanto a aba estiver aberta (sessionStorage)
+ */
+function iniciarSessao(conta, lembrar) {
+    const agora = new Date().toISOString();
+    appState.sessoes = appState.sessoes.filter(s => !sessaoExpirada(s));
+
+    const sessao = {
+        id: gerarIdSessao(),
+        usuarioId: conta.id,
+        criadaEm: agora,
+        ultimoAcesso: agora,
+        lembrar: !!lembrar
+    };
+    appState.sessoes.push(sessao);
+
+    sessaoAtualId = sessao.id;
+    try {
+        (lembrar ? localStorage : sessionStorage).setItem(SESSAO_KEY, sessao.id);
+        (lembrar ? sessionStorage : localStorage).removeItem(SESSAO_KEY);
+    } catch (e) {
+        console.error('Erro ao guardar sessão:', e);
+    }
+    appState.usuarioLogado = conta;
+}
+
+/**
+ * Retoma a sessão guardada neste navegador, se ainda válida
+ */
+function restaurarSessao() {
+    appState.sessoes = appState.sessoes.filter(s => !sessaoExpirada(s));
+
+    const id = sessionStorage.getItem(SESSAO_KEY) || localStorage.getItem(SESSAO_KEY);
+    const sessao = id && appState.sessoes.find(s => s.id === id);
+    const conta = sessao && buscarConta(sessao.usuarioId);
+
+    if (!conta || conta.ativo === false || conta.status === 'rejeitado' || conta.arquivado) {
+        limparSessaoNavegador();
+        return;
+    }
+
+    sessaoAtualId = sessao.id;
+    sessao.ultimoAcesso = new Date().toISOString();
+    appState.usuarioLogado = conta;
+}
+
+function limparSessaoNavegador() {
+    sessaoAtualId = null;
+    sessionStorage.removeItem(SESSAO_KEY);
+    localStorage.removeItem(SESSAO_KEY);
+}
+
+function encerrarSessao() {
+    appState.sessoes = appState.sessoes.filter(s => s.id !== sessaoAtualId);
+    limparSessaoNavegador();
+    appState.usuarioLogado = null;
+}
+
+/**
+ * Atualiza o último acesso da sessão (no máximo uma gravação por minuto)
+ */
+function registrarAtividadeSessao() {
+    const sessao = sessaoAtualId && appState.sessoes.find(s => s.id === sessaoAtualId);
+    if (!sessao || sessaoExpirada(sessao)) {
+        verificarSessaoAtiva();
+        return;
+    }
+
+    const agora = Date.now();
+    if (agora - new Date(sessao.ultimoAcesso).getTime() > 60 * 1000) {
+        sessao.ultimoAcesso = new Date(agora).toISOString();
+        salvarDados();
+    }
+}
+
+/**
+ * Desloga quem estiver com a sessão expirada ou revogada
+ */
+function verificarSessaoAtiva() {
+    if (!usuarioEstaLogado()) return;
+
+    const sessao = appState.sessoes.find(s => s.id === sessaoAtualId);
+    if (!sessao || sessaoExpirada(sessao)) {
+        handleLogout();
+        mostrarMensagem('Sua sessão expirou. Faça login novamente.', 'warning');
+    }
+}
+
+/**
+ * Admin: encerra todas as sessões de uma conta
+ */
+function revogarSessoesUsuario(usuarioId) {
+    if (!usuarioTemPermissao(PERMISSOES.GERENCIAR_SEGURANCA)) {
+        mostrarMensagem('Acesso negado', 'error');
+        return;
+    }
+
+    const conta = buscarConta(usuarioId);
+    if (!confirm(`Encerrar todas as sessões de ${conta ? conta.nome : usuarioId}?`)) {
+        return;
+    }
+
+    appState.sessoes = appState.sessoes.filter(s => s.usuarioId !== usuarioId);
+    salvarDados();
+    mostrarMensagem('Sessões encerradas', 'success');
+    // O próprio admin pode ter encerrado a sessão atual
+    verificarSessaoAtiva();
+    renderizarSessoes();
+}
+
+// ========================================
+// LIMITE DE TENTATIVAS DE LOGIN
+// ========================================
+
+/*
+ * Falhas são contadas por email (no appState, visível ao admin) e por
+ * navegador (em localStorage). A cada falha, a próxima tentativa só é
+ * aceita após um atraso que dobra; ao atingir o limite, o email ou o
+ * navegador fica bloqueado por LOGIN_BLOQUEIO_MS. Um login certo libera o
+ * email, mas não o navegador.
+ */
+
+function atrasoAposFalhas(falhas) {
+    return Math.min(LOGIN_ATRASO_BASE_MS * Math.pow(2, falhas - 1), LOGIN_ATRASO_MAXIMO_MS);
+}
+
+function carregarTentativasNavegador() {
+    try {
+        return JSON.parse(localStorage.getItem(LOGIN_TENTATIVAS_KEY)) || { falhas: 0 };
+    } catch (e) {
+        return { falhas: 0 };
+    }
+}
+
+function salvarTentativasNavegador(registro) {
+    try {
+        localStorage.setItem(LOGIN_TENTATIVAS_KEY, JSON.stringify(registro));
+    } catch (e) {
+        console.error('Erro ao salvar tentativas de login:', e);
+    }
+}
+
+/**
+ * Retorna a mensagem de espera se o registro ainda não permite nova tentativa
+ */
+function mensagemEsperaLogin(registro, agora = Date.now()) {
+    if (!registro || !registro.falhas) return null;
+
+    if (registro.bloqueadoAte && agora < registro.bloqueadoAte) {
+        const minutos = Math.ceil((registro.bloqueadoAte - agora) / 60000);
+        return `Muitas tentativas. Tente novamente em ${minutos} min.`;
+    }
+    const liberadoEm = registro.ultimaFalha + atrasoAposFalhas(registro.falhas);
+    if (!registro.bloqueadoAte && agora < liberadoEm) {
+        const segundos = Math.ceil((liberadoEm - agora) / 1000);
+        return `Aguarde ${segundos}s antes de tentar novamente.`;
+    }
+    return null;
+}
+
+/**
+ * Registro que já não conta: bloqueio encerrado ou, sem bloqueio, nenhuma
+ * falha há LOGIN_BLOQUEIO_MS
+ */
+function registroLoginVencido(registro, agora = Date.now()) {
+    if (registro.bloqueadoAte) return agora >= registro.bloqueadoAte;
+    return agora - (registro.ultimaFalha || 0) >= LOGIN_BLOQUEIO_MS;
+}
+
+/**
+ * Soma uma falha ao registro; registros vencidos recomeçam a contagem
+ */
+function somarFalha(registro, limite, agora = Date.now()) {
+    if (registroLoginVencido(registro, agora)) {
+        registro = { falhas: 0 };
+    }
+    registro.falhas = (registro.falhas || 0) + 1;
+    registro.ultimaFalha = agora;
+    if (registro.falhas >= limite) {
+        registro.bloqueadoAte = agora + LOGIN_BLOQUEIO_MS;
+    }
+    return registro;
+}
+
+/**
+ * Qualquer email digitado ganha um registro: os vencidos saem a cada gravação
+ * para o estado salvo não crescer sem limite
+ */
+function podarTentativasLogin(agora = Date.now()) {
+    for (let email of Object.keys(appState.tentativasLogin)) {
+        if (registroLoginVencido(appState.tentativasLogin[email], agora)) {
+            delete appState.tentativasLogin[email];
+        }
+    }
+}
+
+function registrarFalhaLogin(email) {
+    podarTentativasLogin();
+    appState.tentativasLogin[email] = somarFalha(appState.tentativasLogin[email] || { falhas: 0 }, LOGIN_MAX_FALHAS_EMAIL);
+    salvarTentativasNavegador(somarFalha(carregarTentativasNavegador(), LOGIN_MAX_FALHAS_NAVEGADOR));
+    salvarDados();
+}
+
+/**
+ * Só o email que entrou é liberado: o contador do navegador vence sozinho,
+ * senão bastaria entrar na própria conta entre rodadas de tentativas
+ */
+function limparFalhasLogin(email) {
+    delete appState.tentativasLogin[email];
+}
+
+// Credencial descartável para gastar o mesmo tempo quando o email não existe
+let credencialFicticia = null;
+
+/**
+ * Autentica uma conta respeitando os limites de tentativa
+ * `conta` é null quando o email não está cadastrado; o custo e a
+ * mensagem de erro são os mesmos nos dois casos.
+ * Retorna { conta } em caso de sucesso ou { erro }
+ */
+async function autenticar(email, senha, conta) {
+    const espera = mensagemEsperaLogin(carregarTentativasNavegador()) ||
+        mensagemEsperaLogin(appState.tentativasLogin[email]);
+    if (espera) {
+        return { erro: espera };
+    }
+
+    let verificacao;
+    if (conta) {
+        verificacao = await verificarSenha(conta, senha);
+    } else {
+        credencialFicticia = credencialFicticia || await gerarCredencialSenha(gerarIdSessao());
+        await verificarSenha({ credencial: credencialFicticia }, senha);
+        verificacao = { valida: false };
+    }
+
+    if (!verificacao.valida) {
+        registrarFalhaLogin(email);
+        return { erro: LOGIN_ERRO_GENERICO };
+    }
+
+    limparFalhasLogin(email);
+    await atualizarCredencialSeNecessario(conta, senha, verificacao);
+    return { conta };
+}
+
+/**
+ * Admin: libera um email bloqueado
+ */
+function desbloquearConta(email) {
+    if (!usuarioTemPermissao(PERMISSOES.GERENCIAR_SEGURANCA)) {
+        mostrarMensagem('Acesso negado', 'error');
+        return;
+    }
+
+    delete appState.tentativasLogin[email];
+    salvarDados();
+    mostrarMensagem(`${email} desbloqueado`, 'success');
+    renderizarBloqueios();
+}
+
+// ========================================
+// MODAL DE LOGIN UNIFICADO
+// ========================================
+
+/**
+ * Abre o modal de login e exibe a aba especificada
+ */
+function abrirLoginModal(aba = 'login') {
+    const modal = document.getElementById('loginModal');
+    const tabs = document.querySelectorAll('.login-tab-btn');
+    const contents = document.querySelectorAll('.login-tab-content');
+
+    // Resetar todas as abas
+    tabs.forEach(tab => tab.classList.remove('active'));
+    contents.forEach(content => content.classList.remove('active'));
+
+    // Ativar aba específica
+    const abaMapeada = ['login', 'registro', 'admin', 'produtor'].includes(aba) ? aba : 'login';
+    document.querySelector(`[data-tab="${abaMapeada}"]`).classList.add('active');
+    document.getElementById(abaMapeada + 'Tab').classList.add('active');
+
+    // Limpar mensagens anteriores
+    document.getElementById('loginMsg').textContent = '';
+    document.getElementById('registroMsg').textContent = '';
+    document.getElementById('loginAdminMsg').textContent = '';
+    document.getElementById('loginProdutorMsg').textContent = '';
+    document.getElementById('registroProdutorMsg').textContent = '';
+
+    // Mostrar modal
+    modal.style.display = 'flex';
+}
+
+/**
+ * Fecha o modal de login
+ */
+function fecharLoginModal() {
+    document.getElementById('loginModal').style.display = 'none';
+}
+
+/**
+ * Event listeners para abas do login modal
+ */
+function inicializarTabasLogin() {
+    const tabBtns = document.querySelectorAll('.login-tab-btn');
+    
+    tabBtns.forEach(btn => {
+        btn.addEventListener('click', () => {
+            const abaAlvo = btn.dataset.tab;
+
+            // Remover ativo de todos os botões e conteúdos
+            tabBtns.forEach(b => b.classList.remove('active'));
+            document.querySelectorAll('.login-tab-content').forEach(c => c.classList.remove('active'));
+
+            // Ativar selecionado
+            btn.classList.add('active');
+            document.getElementById(abaAlvo + 'Tab').classList.add('active');
+        });
+    });
+
+    // Fechar modal ao clicar fora
+    document.getElementById('loginModal').addEventListener('click', (e) => {
+        if (e.target.id === 'loginModal') {
+            fecharLoginModal();
+        }
+    });
+}
+
+// ========================================
+// VERIFICAÇÃO DE PERMISSÕES
+// ========================================
+
+/**
+ * A conta logada é da equipe (dá acesso ao painel; o que pode ser feito
+ * nele depende das permissões do papel)
+ */
+function usuarioAtualEhAdmin() {
+    return !!appState.usuarioLogado && appState.equipe.some(m => m.id === appState.usuarioLogado.id);
+}
+
+function usuarioEhProdutor() {
+    return !!appState.usuarioLogado && appState.usuarioLogado.role === 'produtor' &&
+        appState.produtores.some(p => p.id === appState.usuarioLogado.id);
+}
+
+/**
+ * Equipe com permissão de itens gerencia qualquer produtor;
+ * o produtor logado gerencia apenas os próprios itens
+ */
+function podeGerenciarItensDe(produtorId) {
+    if (usuarioTemPermissao(PERMISSOES.GERENCIAR_ITENS)) return true;
+    return usuarioEhProdutor() && appState.usuarioLogado.id === produtorId;
+}
+
+function usuarioTemPermissao(permissao) {
+    if (!usuarioAtualEhAdmin()) return false;
+    const papel = PAPEIS_EQUIPE[appState.usuarioLogado.role];
+    return !!papel && papel.permissoes.includes(permissao);
+}
+
+function usuarioEstaLogado() {
+    return appState.usuarioLogado !== null;
+}
+
+// ========================================
+// GESTÃO DE CARRINHO
+// ========================================
+
+/**
+ * Localiza um item e o produtor dono dele
+ */
+function buscarItem(itemId) {
+    for (let produtor of appState.produtores) {
+        const item = produtor.listaDeItens.find(i => i.id === itemId);
+        if (item) {
+            return { item, produtor };
+        }
+    }
+    return null;
+}
+
+function itemEstaEsgotado(item) {
+    return !item.estoque || item.estoque <= 0;
+}
+
+function produtorAprovado(produtor) {
+    return produtor.status === 'aprovado';
+}
+
+/**
+ * Item visível na loja: produtor aprovado e ativo, item não retirado de venda nem arquivado.
+ * Itens arquivados continuam encontráveis por buscarItem para o histórico de pedidos
+ */
+function itemAVenda(encontrado) {
+    if (!encontrado) return false;
+    const { item, produtor } = encontrado;
+    return produtorAprovado(produtor) && !produtor.arquivado && !item.arquivado && item.disponivel;
+}
+
+function adicionarAoCarrinho(itemId, quantidade = 1) {
+    // Buscar item nos produtores
+    const encontrado = buscarItem(itemId);
+    if (!itemAVenda(encontrado) || itemEstaEsgotado(encontrado.item)) {
+        mostrarMensagem('Item não disponível', 'error');
+        return;
+    }
+
+    quantidade = parseInt(quantidade, 10);
+    if (!Number.isInteger(quantidade) || quantidade < 1) {
+        mostrarMensagem('Quantidade inválida', 'error');
+        return;
+    }
+    if (quantidade > encontrado.item.estoque) {
+        mostrarMensagem(`Apenas ${encontrado.item.estoque} unidade(s) em estoque`, 'warning');
+        return;
+    }
+
+    // Somar à linha existente, respeitando o estoque disponível
+    const linhaExistente = appState.carrinho.find(c => c.id === itemId);
+    const jaNoCarrinho = linhaExistente ? linhaExistente.quantidade : 0;
+    const novaQuantidade = Math.min(jaNoCarrinho + quantidade, encontrado.item.estoque);
+
+    if (novaQuantidade === jaNoCarrinho) {
+        mostrarMensagem('Você já tem todo o estoque deste item no carrinho', 'warning');
+        return;
+    }
+
+    if (linhaExistente) {
+        linhaExistente.quantidade = novaQuantidade;
+    } else {
+        appState.carrinho.push({
+            id: encontrado.item.id,
+            nome: encontrado.item.nome,
+            preco: encontrado.item.preco,
+            produtorId: encontrado.produtor.id,
+            produtorNome: encontrado.produtor.nome,
+            quantidade: novaQuantidade
+        });
+    }
+    persistirCarrinho();
+    atualizarCarrinho();
+
+    if (novaQuantidade < jaNoCarrinho + quantidade) {
+        mostrarMensagem(`Quantidade ajustada ao estoque disponível (${novaQuantidade})`, 'warning');
+    } else {
+        mostrarMensagem('Produto adicionado ao carrinho!', 'success');
+    }
+}
+
+function removerDoCarrinho(itemId) {
+    appState.carrinho = appState.carrinho.filter(item => item.id !== itemId);
+    persistirCarrinho();
+    atualizarCarrinho();
+}
+
+/**
+ * Soma (ou subtrai) unidades de uma linha do carrinho
+ * Remove a linha ao chegar a zero ou se o item esgotou e limita ao estoque disponível
+ */
+function alterarQuantidadeCarrinho(itemId, delta) {
+    const linha = appState.carrinho.find(c => c.id === itemId);
+    if (!linha) return;
+
+    const novaQuantidade = linha.quantidade + delta;
+    if (novaQuantidade <= 0) {
+        removerDoCarrinho(itemId);
+        return;
+    }
+
+    const encontrado = buscarItem(itemId);
+    const estoque = encontrado ? encontrado.item.estoque : 0;
+    // Esgotado: a linha não pode ficar com 1 unidade que o checkout vai recusar
+    if (estoque <= 0) {
+        mostrarMensagem(`${linha.nome} esgotou e saiu do carrinho`, 'warning',
+            document.getElementById('carrinhoMsg'));
+        removerDoCarrinho(itemId);
+        return;
+    }
+    if (novaQuantidade > estoque) {
+        mostrarMensagem(`Apenas ${estoque} unidade(s) em estoque`, 'warning',
+            document.getElementById('carrinhoMsg'));
+        linha.quantidade = Math.min(linha.quantidade, estoque);
+    } else {
+        linha.quantidade = novaQuantidade;
+    }
+    persistirCarrinho();
+    atualizarCarrinho();
+}
+
+function calcularTotalCarrinho() {
+    return appState.carrinho.reduce((total, item) => total + item.preco * item.quantidade, 0);
+}
+
+/**
+ * Confere se o estoque atual ainda atende todas as linhas do carrinho
+ */
+function verificarEstoqueCarrinho(linhas = appState.carrinho) {
+    for (let linha of linhas) {
+        const encontrado = buscarItem(linha.id);
+        if (!itemAVenda(encontrado)) {
+            return { valido: false, erro: `${linha.nome} não está mais disponível` };
+        }
+        if (encontrado.item.estoque < linha.quantidade) {
+            return {
+                valido: false,
+                erro: `Estoque insuficiente para ${linha.nome} (restam ${encontrado.item.estoque})`
+            };
+        }
+    }
+    return { valido: true };
+}
+
+function atualizarCarrinho() {
+    const container = document.getElementById('carrinhoItems');
+    const totalEl = document.getElementById('totalCarrinho');
+    const finalizarBtn = document.getElementById('finalizarCompraBtn');
+
+    if (appState.carrinho.length === 0) {
+        container.innerHTML = '<p>Carrinho vazio</p>';
+        finalizarBtn.style.display = 'none';
+        totalEl.textContent = '0.00';
+        return;
+    }
+
+    let html = '';
+    appState.carrinho.forEach(item => {
+        // A linha do carrinho não guarda imagens: usa as atuais do item
+        const atual = buscarItem(item.id)?.item || item;
+        html += `
+            <div class="carrinho-item">
+                ${htmlImagemItem(atual, 'carrinho-imagem')}
+                <div class="carrinho-item-info">
+                    <div class="carrinho-item-nome">${sanitizar(item.nome)}</div>
+                    <div class="carrinho-item-qtd">
+                        <button class="carrinho-qtd-btn" onclick="alterarQuantidadeCarrinho('${sanitizar(item.id)}', -1)">−</button>
+                        <span>${item.quantidade}</span>
+                        <button class="carrinho-qtd-btn" onclick="alterarQuantidadeCarrinho('${sanitizar(item.id)}', 1)">+</button>
+                        <span>x R$ ${item.preco.toFixed(2)}</span>
+                    </div>
+                    <div class="carrinho-item-preco">Subtotal: R$ ${(item.preco * item.quantidade).toFixed(2)}</div>
+                </div>
+                <button class="carrinho-item-remover" onclick="removerDoCarrinho('${sanitizar(item.id)}')">
+                    Remover
+                </button>
+            </div>
+        `;
+    });
+
+    container.innerHTML = html;
+    carregarImagensPendentes(container);
+    const total = calcularTotalCarrinho();
+    totalEl.textContent = total.toFixed(2);
+    finalizarBtn.style.display = 'block';
+}
+
+// ========================================
+// CARRINHO - PERSISTÊNCIA POR USUÁRIO
+// ========================================
+
+function chaveCarrinhoAtual() {
+    return usuarioEstaLogado() ? appState.usuarioLogado.id : CARRINHO_VISITANTE;
+}
+
+/**
+ * Guarda o carrinho ativo sob o usuário logado (ou do visitante)
+ */
+function persistirCarrinho() {
+    appState.carrinhos[chaveCarrinhoAtual()] = {
+        linhas: appState.carrinho,
+        atualizadoEm: new Date().toISOString()
+    };
+    salvarDados();
+}
+
+/**
+ * Retorna as linhas de um carrinho salvo, descartando carrinhos expirados
+ */
+function carregarCarrinhoSalvo(chave) {
+    const salvo = appState.carrinhos[chave];
+    if (!salvo || !Array.isArray(salvo.linhas)) return [];
+
+    const idadeMs = Date.now() - new Date(salvo.atualizadoEm).getTime();
+    if (!(idadeMs <= CARRINHO_EXPIRACAO_DIAS * 24 * 60 * 60 * 1000)) {
+        delete appState.carrinhos[chave];
+        return [];
+    }
+    return salvo.linhas.map(linha => ({ ...linha }));
+}
+
+/**
+ * Restaura o carrinho do usuário no login e incorpora o carrinho de visitante
+ */
+function restaurarCarrinhoUsuario(usuarioId) {
+    const linhas = carregarCarrinhoSalvo(usuarioId);
+    const visitante = carregarCarrinhoSalvo(CARRINHO_VISITANTE);
+
+    for (let linhaVisitante of visitante) {
+        const existente = linhas.find(l => l.id === linhaVisitante.id);
+        if (existente) {
+            existente.quantidade += linhaVisitante.quantidade;
+        } else {
+            linhas.push(linhaVisitante);
+        }
+    }
+    delete appState.carrinhos[CARRINHO_VISITANTE];
+
+    appState.carrinho = linhas;
+    avisarRevalidacaoCarrinho(revalidarCarrinho());
+    persistirCarrinho();
+    atualizarCarrinho();
+}
+
+/**
+ * Confronta as linhas do carrinho com o catálogo atual:
+ * remove itens que saíram de venda, limita ao estoque e atualiza preços.
+ * Retorna a lista de avisos para o cliente.
+ */
+function revalidarCarrinho() {
+    const avisos = [];
+    const linhasValidas = [];
+
+    for (let linha of appState.carrinho) {
+        const encontrado = buscarItem(linha.id);
+        if (!itemAVenda(encontrado) || itemEstaEsgotado(encontrado.item)) {
+            avisos.push(`${linha.nome} não está mais disponível e saiu do carrinho.`);
+            continue;
+        }
+
+        const { item } = encontrado;
+        if (linha.quantidade > item.estoque) {
+            linha.quantidade = item.estoque;
+            avisos.push(`Quantidade de ${item.nome} ajustada ao estoque (${item.estoque}).`);
+        }
+        if (linha.preco !== item.preco) {
+            avisos.push(`Preço de ${item.nome} mudou para R$ ${item.preco.toFixed(2)}.`);
+            linha.preco = item.preco;
+        }
+        linha.nome = item.nome;
+        linhasValidas.push(linha);
+    }
+
+    appState.carrinho = linhasValidas;
+    return avisos;
+}
+
+function avisarRevalidacaoCarrinho(avisos) {
+    if (avisos.length > 0) {
+        mostrarMensagem(avisos.join(' '), 'warning', document.getElementById('carrinhoMsg'));
+    }
+}
+
+// ========================================
+// CARRINHO - CUPONS DE DESCONTO
+// ========================================
+
+/**
+ * Cupons ficam em appState.cupons:
+ * { id, codigo, tipo, valor, valorMinimo, validoDe, validoAte, limiteTotal,
+ *   limitePorCliente, produtorIds, categoriaIds, ativo, criadoEm }
+ * Datas são 'AAAA-MM-DD' (vazias = sem limite) e listas vazias = sem restrição.
+ * Os usos não são contados no cupom: saem dos pedidos que o aplicaram.
+ */
+const TIPOS_CUPOM = {
+    percentual: 'Percentual',
+    valor_fixo: 'Valor fixo',
+    frete_gratis: 'Frete grátis'
+};
+
+// Código digitado no checkout atual ('' = nenhum cupom)
+let cupomCheckout = '';
+
+function normalizarCodigoCupom(codigo) {
+    return String(codigo || '').trim().toUpperCase();
+}
+
+function buscarCupomPorCodigo(codigo) {
+    const normalizado = normalizarCodigoCupom(codigo);
+    return appState.cupons.find(c => c.codigo === normalizado) || null;
+}
+
+function arredondarCentavos(valor) {
+    return Math.round(valor * 100) / 100;
+}
+
+/**
+ * Pedidos cancelados ou reembolsados devolvem o uso do cupom
+ */
+function contarUsosCupom(cupomId, usuarioId = null) {
+    return appState.pedidos.filter(p =>
+        p.cupom?.id === cupomId &&
+        p.status !== 'cancelado' && p.status !== 'reembolsado' &&
+        (!usuarioId || p.usuarioId === usuarioId)
+    ).length;
+}
+
+/**
+ * Uma categoria restrita inclui as suas subcategorias
+ */
+function linhaElegivelCupom(cupom, linha) {
+    if (cupom.produtorIds.length > 0 && !cupom.produtorIds.includes(linha.produtorId)) {
+        return false;
+    }
+    if (cupom.categoriaIds.length > 0) {
+        const categoriaId = buscarItem(linha.id)?.item.categoriaId || null;
+        return cupom.categoriaIds.some(id => idsCategoriaEDescendentes(id).has(categoriaId));
+    }
+    return true;
+}
+
+/**
+ * Confere as regras do cupom contra o carrinho e calcula o desconto.
+ * O valor mínimo e o desconto valem sobre os itens elegíveis.
+ */
+function avaliarCupom(cupom, carrinho, usuarioId, agora = new Date()) {
+    if (!cupom || !cupom.ativo) {
+        return { valido: false, erro: 'Cupom inválido' };
+    }
+    if (cupom.validoDe && agora < new Date(cupom.validoDe + 'T00:00:00')) {
+        return { valido: false, erro: 'Este cupom ainda não está valendo' };
+    }
+    if (cupom.validoAte && agora > new Date(cupom.validoAte + 'T23:59:59.999')) {
+        return { valido: false, erro: 'Este cupom expirou' };
+    }
+    if (cupom.limiteTotal && contarUsosCupom(cupom.id) >= cupom.limiteTotal) {
+        return { valido: false, erro: 'Este cupom esgotou' };
+    }
+    if (cupom.limitePorCliente && contarUsosCupom(cupom.id, usuarioId) >= cupom.limitePorCliente) {
+        return { valido: false, erro: 'Você já usou este cupom o número máximo de vezes' };
+    }
+
+    const elegiveis = carrinho.filter(linha => linhaElegivelCupom(cupom, linha));
+    if (elegiveis.length === 0) {
+        return { valido: false, erro: 'Nenhum item do carrinho participa deste cupom' };
+    }
+
+    const subtotalElegivel = elegiveis.reduce((total, linha) => total + linha.preco * linha.quantidade, 0);
+    if (subtotalElegivel < cupom.valorMinimo) {
+        return { valido: false, erro: `Pedido mínimo de R$ ${cupom.valorMinimo.toFixed(2)} para este cupom` };
+    }
+
+    let desconto = 0;
+    if (cupom.tipo === 'percentual') {
+        desconto = subtotalElegivel * cupom.valor / 100;
+    } else if (cupom.tipo === 'valor_fixo') {
+        desconto = Math.min(cupom.valor, subtotalElegivel);
+    }
+
+    return {
+        valido: true,
+        desconto: arredondarCentavos(desconto),
+        freteGratis: cupom.tipo === 'frete_gratis'
+    };
+}
+
+/**
+ * Valores da compra com o cupom e o frete do checkout aplicados.
+ * Um cupom que deixou de valer (ex.: carrinho mudou) volta em cupomErro;
+ * frete é null enquanto não houver cotação com uma opção escolhida.
+ */
+function calcularResumoCompra() {
+    const subtotal = arredondarCentavos(calcularTotalCarrinho());
+    const resumo = {
+        subtotal, desconto: 0, freteGratis: false, cupom: null, cupomErro: null,
+        opcoesFrete: [], frete: null, freteErro: null, total: subtotal
+    };
+
+    if (cupomCheckout) {
+        const cupom = buscarCupomPorCodigo(cupomCheckout);
+        const avaliacao = avaliarCupom(cupom, appState.carrinho, appState.usuarioLogado?.id);
+        if (avaliacao.valido) {
+            resumo.cupom = cupom;
+            resumo.desconto = avaliacao.desconto;
+            resumo.freteGratis = avaliacao.freteGratis;
+        } else {
+            resumo.cupomErro = avaliacao.erro;
+        }
+    }
+
+    if (freteCheckout) {
+        resumo.opcoesFrete = cotarFrete(freteCheckout.cep, appState.carrinho, subtotal - resumo.desconto, resumo.freteGratis);
+        resumo.frete = resumo.opcoesFrete.find(o => o.id === freteCheckout.opcao) || null;
+        if (resumo.opcoesFrete.length === 0) {
+            resumo.freteErro = 'Não entregamos neste CEP';
+        }
+    }
+
+    resumo.total = arredondarCentavos(subtotal - resumo.desconto + (resumo.frete?.valor || 0));
+    return resumo;
+}
+
+function aplicarCupomCheckout() {
+    const codigo = normalizarCodigoCupom(document.getElementById('checkoutCupom').value);
+    if (!codigo) {
+        mostrarMensagem('Digite o código do cupom', 'warning', document.getElementById('checkoutCupomMsg'));
+        return;
+    }
+    cupomCheckout = codigo;
+    atualizarResumoCheckout();
+}
+
+function removerCupomCheckout() {
+    cupomCheckout = '';
+    document.getElementById('checkoutCupom').value = '';
+    atualizarResumoCheckout();
+}
+
+function atualizarResumoCheckout() {
+    const resumo = calcularResumoCompra();
+    const msgEl = document.getElementById('checkoutCupomMsg');
+
+    document.getElementById('checkoutSubtotal').textContent = resumo.subtotal.toFixed(2);
+    document.getElementById('checkoutDescontoLinha').style.display = resumo.desconto > 0 ? 'block' : 'none';
+    document.getElementById('checkoutDesconto').textContent = resumo.desconto.toFixed(2);
+    document.getElementById('checkoutFreteLinha').style.display = resumo.frete ? 'block' : 'none';
+    document.getElementById('checkoutFrete').textContent = resumo.frete?.valor > 0 ? `R$ ${resumo.frete.valor.toFixed(2)}` : 'Grátis';
+    document.getElementById('checkoutTotal').textContent = resumo.total.toFixed(2);
+    renderizarFreteCheckout(resumo);
+    document.getElementById('checkoutCupomRemover').style.display = cupomCheckout ? 'inline-block' : 'none';
+
+    if (resumo.cupomErro) {
+        mostrarMensagem(resumo.cupomErro, 'error', msgEl);
+    } else if (resumo.cupom) {
+        const beneficio = resumo.freteGratis ? 'frete grátis' : `desconto de R$ ${resumo.desconto.toFixed(2)}`;
+        mostrarMensagem(`Cupom ${resumo.cupom.codigo} aplicado: ${beneficio}`, 'success', msgEl);
+    } else {
+        msgEl.textContent = '';
+        msgEl.className = 'msg';
+    }
+}
+
+// ========================================
+// CARRINHO - FRETE
+// ========================================
+
+/**
+ * Regras de frete ficam em appState.frete:
+ * { zonas: [{ id, nome, cepInicio, cepFim, taxaBase, taxaPorKg, taxaPorItem, prazoDias }],
+ *   freteGratisAcima, retiradaLocal: { ativa, endereco } }
+ * CEPs são guardados só com os 8 dígitos; freteGratisAcima null = sem frete grátis por valor.
+ */
+
+// CEP cotado e opção escolhida no checkout atual (null = frete ainda não calculado)
+let freteCheckout = null;
+
+function criarConfigFreteVazia() {
+    return { zonas: [], freteGratisAcima: null, retiradaLocal: { ativa: false, endereco: '' } };
+}
+
+function normalizarCep(cep) {
+    const digitos = String(cep || '').replace(/\D/g, '');
+    return digitos.length === 8 ? digitos : null;
+}
+
+function formatarCep(cep) {
+    return `${cep.slice(0, 5)}-${cep.slice(5)}`;
+}
+
+/**
+ * Sem zonas nem retirada cadastradas a loja não cobra frete e o checkout não pede cotação
+ */
+function freteConfigurado() {
+    return appState.frete.zonas.length > 0 || appState.frete.retiradaLocal.ativa;
+}
+
+function larguraZonaFrete(zona) {
+    return Number(zona.cepFim) - Number(zona.cepInicio);
+}
+
+/**
+ * Zonas podem se sobrepor (ex.: a capital dentro do estado): vale a faixa mais estreita
+ */
+function buscarZonaFrete(cep) {
+    return appState.frete.zonas
+        .filter(zona => cep >= zona.cepInicio && cep <= zona.cepFim)
+        .sort((a, b) => larguraZonaFrete(a) - larguraZonaFrete(b))[0] || null;
+}
+
+/**
+ * Itens sem peso cadastrado contam só na taxa por item
+ */
+function calcularTaxaZona(zona, carrinho) {
+    let pesoKg = 0;
+    let quantidade = 0;
+    for (let linha of carrinho) {
+        pesoKg += (buscarItem(linha.id)?.item.pesoKg || 0) * linha.quantidade;
+        quantidade += linha.quantidade;
+    }
+    return arredondarCentavos(zona.taxaBase + zona.taxaPorKg * pesoKg + zona.taxaPorItem * quantidade);
+}
+
+/**
+ * Opções de entrega para o CEP. O frete grátis vem do cupom ou do valor dos
+ * produtos (já com desconto) acima do mínimo; a retirada não depende do CEP.
+ */
+function cotarFrete(cep, carrinho, valorProdutos, freteGratis = false) {
+    const opcoes = [];
+    const zona = buscarZonaFrete(cep);
+    if (zona) {
+        const minimo = appState.frete.freteGratisAcima;
+        const gratis = freteGratis || (minimo !== null && valorProdutos >= minimo);
+        opcoes.push({
+            id: 'entrega',
+            nome: `Entrega - ${zona.nome}`,
+            zonaId: zona.id,
+            valor: gratis ? 0 : calcularTaxaZona(zona, carrinho),
+            gratis,
+            prazoDias: zona.prazoDias
+        });
+    }
+    if (appState.frete.retiradaLocal.ativa) {
+        opcoes.push({
+            id: 'retirada',
+            nome: 'Retirada no local',
+            zonaId: null,
+            valor: 0,
+            gratis: false,
+            endereco: appState.frete.retiradaLocal.endereco
+        });
+    }
+    return opcoes;
+}
+
+function calcularFreteCheckout() {
+    const msgEl = document.getElementById('checkoutFreteMsg');
+    const cep = normalizarCep(document.getElementById('checkoutCep').value);
+    if (!cep) {
+        mostrarMensagem('Digite um CEP com 8 dígitos', 'error', msgEl);
+        return;
+    }
+
+    // A primeira opção (entrega, quando houver) já vem escolhida
+    const opcoes = cotarFrete(cep, appState.carrinho, 0);
+    freteCheckout = { cep, opcao: opcoes[0]?.id || null };
+    msgEl.textContent = '';
+    msgEl.className = 'msg';
+    atualizarResumoCheckout();
+}
+
+function escolherFreteCheckout(opcao) {
+    if (!freteCheckout) return;
+    freteCheckout.opcao = opcao;
+    atualizarResumoCheckout();
+}
+
+/**
+ * Trocar o CEP depois da cotação exige calcular de novo
+ */
+function invalidarFreteCheckout() {
+    if (freteCheckout && normalizarCep(document.getElementById('checkoutCep').value) !== freteCheckout.cep) {
+        freteCheckout = null;
+        atualizarResumoCheckout();
+    }
+}
+
+function renderizarFreteCheckout(resumo) {
+    const container = document.getElementById('checkoutFreteOpcoes');
+    document.getElementById('checkoutFreteBox').style.display = freteConfigurado() ? 'block' : 'none';
+
+    if (!freteCheckout) {
+        container.innerHTML = '';
+        return;
+    }
+    if (resumo.freteErro) {
+        container.innerHTML = `<p class="frete-erro">${resumo.freteErro}</p>`;
+        return;
+    }
+
+    container.innerHTML = resumo.opcoesFrete.map(opcao => {
+        const valor = opcao.valor > 0 ? `R$ ${opcao.valor.toFixed(2)}` : 'Grátis';
+        const detalhe = opcao.id === 'retirada'
+            ? sanitizar(opcao.endereco)
+            : `até ${opcao.prazoDias} dia(s) útil(eis)`;
+        return `
+            <label class="frete-opcao">
+                <input type="radio" name="checkoutFreteOpcao" value="${opcao.id}"
+                    ${freteCheckout.opcao === opcao.id ? 'checked' : ''}
+                    onchange="escolherFreteCheckout(this.value)">
+                <span>
+                    <strong>${sanitizar(opcao.nome)}</strong> — ${valor}
+                    <small>${detalhe}</small>
+                </span>
+            </label>
+        `;
+    }).join('');
+}
+
+// ========================================
+// CARRINHO - FINALIZAR COMPRA
+// ========================================
+
+function abrirCheckout() {
+    if (!usuarioEstaLogado()) {
+        mostrarMensagem('Faça login para finalizar a compra. Seu carrinho será mantido.', 'warning',
+            document.getElementById('carrinhoMsg'));
+        abrirLoginModal('login');
+        return;
+    }
+
+    // Preços e estoque podem ter mudado desde que os itens foram adicionados
+    const avisos = revalidarCarrinho();
+    if (avisos.length > 0) {
+        persistirCarrinho();
+        atualizarCarrinho();
+        avisarRevalidacaoCarrinho(avisos);
+    }
+
+    if (appState.carrinho.length === 0) {
+        mostrarMensagem('Carrinho vazio', 'warning');
+        return;
+    }
+
+    const modal = document.getElementById('checkoutModal');
+    const provedorEl = document.getElementById('checkoutProvedor');
+
+    // O cupom digitado continua aplicado se o checkout for reaberto
+    document.getElementById('checkoutCupom').value = cupomCheckout;
+    atualizarResumoCheckout();
+    provedorEl.textContent = `Provedor: ${appState.configPagamento.provedor === 'stripe' ? 'Stripe' : 'Mercado Pago'}`;
+
+    // Pré-preencher dados do usuário
+    if (usuarioEstaLogado()) {
+        document.getElementById('checkoutNome').value = decodificarHtml(appState.usuarioLogado.nome);
+        document.getElementById('checkoutEmail').value = decodificarHtml(appState.usuarioLogado.email);
+    }
+
+    modal.style.display = 'flex';
+}
+
+function fecharCheckout() {
+    document.getElementById('checkoutModal').style.display = 'none';
+}
+
+function handleCheckoutForm(e) {
+    e.preventDefault();
+
+    // Pagamento em andamento: um segundo envio cobraria o mesmo carrinho de novo
+    const submitBtn = document.getElementById('checkoutSubmitBtn');
+    if (submitBtn.disabled) return;
+
+    const dados = {
+        nome: sanitizar(document.getElementById('checkoutNome').value),
+        email: sanitizar(document.getElementById('checkoutEmail').value),
+        telefone: sanitizar(document.getElementById('checkoutTelefone').value),
+        endereco: sanitizar(document.getElementById('checkoutEndereco').value),
+        cidade: sanitizar(document.getElementById('checkoutCidade').value),
+        cep: sanitizar(document.getElementById('checkoutCep').value),
+        cartao: document.getElementById('checkoutCartao').value.replace(/\D/g, ''),
+        validade: document.getElementById('checkoutValidade').value,
+        cvv: document.getElementById('checkoutCvv').value
+    };
+
+    // Validar dados
+    const validacao = validarDadosCompra(dados);
+    if (!validacao.valido) {
+        mostrarMensagem(validacao.erro, 'error', document.getElementById('checkoutMsg'));
+        return;
+    }
+
+    if (appState.carrinho.length === 0) {
+        mostrarMensagem('Seu carrinho está vazio', 'error', document.getElementById('checkoutMsg'));
+        return;
+    }
+
+    // Conferir estoque antes de cobrar
+    const estoque = verificarEstoqueCarrinho();
+    if (!estoque.valido) {
+        mostrarMensagem(estoque.erro, 'error', document.getElementById('checkoutMsg'));
+        return;
+    }
+
+    // Um cupom que deixou de valer precisa ser removido antes de cobrar
+    const resumo = calcularResumoCompra();
+    if (resumo.cupomErro) {
+        mostrarMensagem(`${resumo.cupomErro}. Remova o cupom para continuar.`, 'error',
+            document.getElementById('checkoutMsg'));
+        return;
+    }
+
+    // A cotação precisa ser do CEP de entrega informado
+    if (freteConfigurado()) {
+        if (!freteCheckout || normalizarCep(dados.cep) !== freteCheckout.cep) {
+            mostrarMensagem('Calcule o frete para o CEP informado', 'error', document.getElementById('checkoutMsg'));
+            return;
+        }
+        if (!resumo.frete) {
+            mostrarMensagem(resumo.freteErro || 'Escolha uma opção de entrega', 'error',
+                document.getElementById('checkoutMsg'));
+            return;
+        }
+    }
+
+    // Simular pagamento; o pedido grava o resumo e as linhas conferidos aqui
+    const linhas = appState.carrinho.map(linha => ({ ...linha }));
+    submitBtn.disabled = true;
+    processarPagamento(dados, resumo, linhas);
+}
+
+/**
+ * Simula processamento de pagamento
+ * Em produção, seria integrado com Stripe/Mercado Pago via backend seguro
+ */
+function processarPagamento(dados, resumo, linhas) {
+    const msgEl = document.getElementById('checkoutMsg');
+    mostrarMensagem('Processando pagamento...', 'warning', msgEl);
+
+    // Simular delay de processamento
+    setTimeout(() => {
+        document.getElementById('checkoutSubmitBtn').disabled = false;
+
+        // O estoque pode ter sido vendido em outra aba durante a espera: não cobrar
+        const estoque = verificarEstoqueCarrinho(linhas);
+        if (!estoque.valido) {
+            mostrarMensagem(estoque.erro, 'error', msgEl);
+            return;
+        }
+
+        // Simular sucesso/falha (85% sucesso para demo)
+        const sucesso = Math.random() < 0.85;
+
+        if (sucesso) {
+            // Simular integração com provedor configurado
+            const pagamento = appState.configPagamento.provedor === 'stripe'
+                ? criarPagamentoStripe(dados)
+                : criarPagamentoMercadoPago(dados);
+
+            // Finalize a compra
+            finalizarCompraComSucesso(dados, resumo, linhas, pagamento);
+        } else {
+            mostrarMensagem('Pagamento recusado. Tente novamente.', 'error', msgEl);
+        }
+    }, 1500);
+}
+
+/**
+ * Simula integração com Stripe
+ * Em produção: POST request ao backend -> Stripe API
+ */
+function criarPagamentoStripe(dados) {
+    console.log('Integrando com Stripe...', {
+        publicKey: appState.configPagamento.stripePublicKey,
+        cartao: dados.cartao.slice(-4),
+        email: dados.email
+    });
+
+    // Simulação: em produção, o backend chamaria Stripe.com/api/v1/charges
+    // com a chave secreta (NUNCA enviar chave secreta para frontend)
+    
+    return {
+        sucesso: true,
+        transacaoId: 'ch_stripe_' + Date.now(),
+        provedor: 'stripe'
+    };
+}
+
+/**
+ * Simula integração com Mercado Pago
+ * Em produção: POST request ao backend -> Mercado Pago API
+ */
+function criarPagamentoMercadoPago(dados) {
+    console.log('Integrando com Mercado Pago...', {
+        publicKey: appState.configPagamento.mercadoPagoPublicKey,
+        email: dados.email
+    });
+
+    // Simulação: em produção, o backend chamaria api.mercadopago.com/v1/payments
+    // com a chave secreta
+    
+    return {
+        sucesso: true,
+        transacaoId: 'mp_' + Date.now(),
+        provedor: 'mercadoPago'
+    };
+}
+
+/**
+ * Simula estorno no Stripe
+ * Em produção: POST request ao backend -> Stripe API (refunds)
+ */
+function reembolsarPagamentoStripe(pedido) {
+    console.log('Estornando no Stripe...', {
+        publicKey: appState.configPagamento.stripePublicKey,
+        transacaoId: pedido.pagamento?.transacaoId,
+        valor: pedido.total
+    });
+
+    // Simulação: em produção, o backend chamaria Stripe.com/api/v1/refunds
+    // com a chave secreta
+
+    return {
+        sucesso: true,
+        reembolsoId: 're_stripe_' + Date.now(),
+        provedor: 'stripe'
+    };
+}
+
+/**
+ * Simula estorno no Mercado Pago
+ * Em produção: POST request ao backend -> Mercado Pago API
+ */
+function reembolsarPagamentoMercadoPago(pedido) {
+    console.log('Estornando no Mercado Pago...', {
+        publicKey: appState.configPagamento.mercadoPagoPublicKey,
+        transacaoId: pedido.pagamento?.transacaoId,
+        valor: pedido.total
+    });
+
+    // Simulação: em produção, o backend chamaria
+    // api.mercadopago.com/v1/payments/{id}/refunds com a chave secreta
+
+    return {
+        sucesso: true,
+        reembolsoId: 'mp_refund_' + Date.now(),
+        provedor: 'mercadoPago'
+    };
+}
+
+/**
+ * Finaliza compra após pagamento aprovado
+ * Baixa as quantidades vendidas do estoque dos produtores.
+ * resumo e linhas são os validados no checkout, não relidos: cupom, frete e
+ * carrinho podem ter mudado durante o processamento e o que foi cobrado é o
+ * que fica no pedido. Sem estoque para todas as linhas, nada é gravado
+ */
+function finalizarCompraComSucesso(dados, resumo, linhas, pagamento = null) {
+    const msgEl = document.getElementById('checkoutMsg');
+
+    const estoque = verificarEstoqueCarrinho(linhas);
+    if (!estoque.valido) {
+        mostrarMensagem(estoque.erro, 'error', msgEl);
+        return;
+    }
+
+    // Criar pedido
+    const novoPedido = {
+        id: 'pedido_' + Date.now(),
+        usuarioId: appState.usuarioLogado.id,
+        usuarioNome: dados.nome,
+        usuarioEmail: dados.email,
+        // Preço unitário congelado no pedido: alterações futuras de preço não afetam o histórico
+        itens: linhas.map(linha => ({
+            id: linha.id,
+            nome: linha.nome,
+            produtorId: linha.produtorId,
+            produtorNome: linha.produtorNome,
+            // Categoria da época da compra, usada no relatório por categoria
+            categoriaId: buscarItem(linha.id)?.item.categoriaId || null,
+            quantidade: linha.quantidade,
+            precoUnitario: linha.preco,
+            subtotal: linha.preco * linha.quantidade
+        })),
+        subtotal: resumo.subtotal,
+        desconto: resumo.desconto,
+        // Cópia das regras do cupom na hora da compra; o id conta os usos
+        cupom: resumo.cupom ? {
+            id: resumo.cupom.id,
+            codigo: resumo.cupom.codigo,
+            tipo: resumo.cupom.tipo,
+            valor: resumo.cupom.valor,
+            freteGratis: resumo.freteGratis
+        } : null,
+        // Opção de entrega cotada; null quando a loja não cobra frete
+        frete: resumo.frete ? {
+            modalidade: resumo.frete.id,
+            descricao: resumo.frete.nome,
+            zonaId: resumo.frete.zonaId,
+            valor: resumo.frete.valor,
+            gratis: resumo.frete.gratis,
+            prazoDias: resumo.frete.prazoDias ?? null
+        } : null,
+        total: resumo.total,
+        data: new Date().toISOString(),
+        status: 'pendente',
+        historicoStatus: [],
+        // Só a referência da transação; dados do cartão nunca são gravados
+        pagamento: pagamento ? { provedor: pagamento.provedor, transacaoId: pagamento.transacaoId } : null,
+        endereco: dados.endereco,
+        cidade: dados.cidade,
+        cep: dados.cep
+    };
+    registrarStatusPedido(novoPedido, 'pendente', dados.nome);
+    // Só chegamos aqui com o pagamento aprovado
+    registrarStatusPedido(novoPedido, 'pago', 'Sistema');
+
+    // Atualizar estoque: baixar as quantidades vendidas (já conferidas acima)
+    for (let item of novoPedido.itens) {
+        buscarItem(item.id).item.estoque -= item.quantidade;
+    }
+
+    // Adicionar pedido ao histórico
+    appState.pedidos.push(novoPedido);
+
+    // Adicionar pedido ao usuário
+    if (appState.usuarioLogado.role === 'user') {
+        appState.usuarioLogado.pedidos = appState.usuarioLogado.pedidos || [];
+        appState.usuarioLogado.pedidos.push(novoPedido.id);
+    }
+
+    // Limpar carrinho
+    appState.carrinho = [];
+    persistirCarrinho();
+    cupomCheckout = '';
+    freteCheckout = null;
+
+    // Feedback
+    mostrarMensagem(
+        `Compra realizada com sucesso! Pedido: ${novoPedido.id}`,
+        'success',
+        msgEl
+    );
+
+    setTimeout(() => {
+        fecharCheckout();
+        atualizarUI();
+        renderizarProdutos();
+    }, 2000);
+}
+
+// ========================================
+// PEDIDOS - CICLO DE VIDA
+// ========================================
+
+function podeTransicionarPedido(pedido, novoStatus) {
+    const atual = STATUS_PEDIDO[pedido.status];
+    // Só há o que estornar quando o provedor registrou a cobrança
+    if (novoStatus === 'reembolsado' && !pedido.pagamento) return false;
+    return !!atual && atual.proximos.includes(novoStatus);
+}
+
+/**
+ * Muda o status e acrescenta a entrada correspondente no histórico do pedido
+ */
+function registrarStatusPedido(pedido, status, autor) {
+    pedido.status = status;
+    pedido.historicoStatus = pedido.historicoStatus || [];
+    pedido.historicoStatus.push({ status, data: new Date().toISOString(), autor });
+}
+
+function alterarStatusPedido(pedidoId, novoStatus) {
+    if (!usuarioTemPermissao(PERMISSOES.GERENCIAR_PEDIDOS)) {
+        mostrarMensagem('Acesso negado', 'error');
+        return;
+    }
+
+    const pedido = appState.pedidos.find(p => p.id === pedidoId);
+    if (!pedido) return;
+
+    if (!podeTransicionarPedido(pedido, novoStatus)) {
+        const de = STATUS_PEDIDO[pedido.status]?.nome || pedido.status;
+        const para = STATUS_PEDIDO[novoStatus]?.nome || novoStatus;
+        mostrarMensagem(`Transição não permitida: ${de} → ${para}`, 'error');
+        return;
+    }
+    if (novoStatus === 'cancelado' && !confirm(`Cancelar o pedido ${pedido.id}? O estoque será reposto e o pagamento estornado.`)) {
+        return;
+    }
+
+    if (novoStatus === 'cancelado') {
+        cancelarPedido(pedido, appState.usuarioLogado.nome);
+    } else if (novoStatus === 'reembolsado') {
+        reembolsarPedido(pedido, appState.usuarioLogado.nome);
+    } else {
+        registrarStatusPedido(pedido, novoStatus, appState.usuarioLogado.nome);
+    }
+    salvarDados();
+    mostrarMensagem(`Pedido ${pedido.id}: ${STATUS_PEDIDO[pedido.status].nome}`, 'success');
+    renderizarPedidos();
+    renderizarProdutos();
+}
+
+// ========================================
+// PEDIDOS - CANCELAMENTO E REEMBOLSO
+// ========================================
+
+/*
+ * O cliente solicita o cancelamento (pedido.cancelamento) enquanto o pedido
+ * ainda não foi enviado; a equipe aprova ou recusa. Aprovar cancela o pedido,
+ * devolve os itens ao estoque e estorna o pagamento pelo provedor que cobrou.
+ * Depois de uma recusa o cliente pode pedir de novo; as solicitações já
+ * respondidas ficam em pedido.cancelamentosAnteriores.
+ */
+
+function solicitarCancelamentoPedido(pedidoId) {
+    if (!usuarioEstaLogado()) return;
+
+    const pedido = appState.pedidos.find(p => p.id === pedidoId);
+    if (!pedido || pedido.usuarioId !== appState.usuarioLogado.id) {
+        mostrarMensagem('Pedido não encontrado', 'error');
+        return;
+    }
+    if (!podeTransicionarPedido(pedido, 'cancelado')) {
+        mostrarMensagem('Pedidos já enviados não podem ser cancelados', 'error');
+        return;
+    }
+    if (pedido.cancelamento?.status === 'solicitado') {
+        mostrarMensagem('Cancelamento já solicitado', 'warning');
+        return;
+    }
+
+    const motivo = prompt('Motivo do cancelamento (opcional):');
+    if (motivo === null) return;
+
+    if (pedido.cancelamento) {
+        pedido.cancelamentosAnteriores = pedido.cancelamentosAnteriores || [];
+        pedido.cancelamentosAnteriores.push(pedido.cancelamento);
+    }
+    pedido.cancelamento = {
+        status: 'solicitado',
+        motivo: sanitizar(motivo.trim()).substring(0, 200),
+        solicitadoEm: new Date().toISOString()
+    };
+    salvarDados();
+    mostrarMensagem('Cancelamento solicitado. Você será avisado quando a loja responder.', 'success');
+    renderizarPedidos();
+}
+
+function responderCancelamentoPedido(pedidoId, aprovado) {
+    if (!usuarioTemPermissao(PERMISSOES.GERENCIAR_PEDIDOS)) {
+        mostrarMensagem('Acesso negado', 'error');
+        return;
+    }
+
+    const pedido = appState.pedidos.find(p => p.id === pedidoId);
+    if (!pedido || pedido.cancelamento?.status !== 'solicitado') return;
+
+    // O pedido pode ter sido enviado depois da solicitação
+    if (aprovado && !podeTransicionarPedido(pedido, 'cancelado')) {
+        mostrarMensagem('Pedido já enviado: o cancelamento não pode mais ser aprovado', 'error');
+        return;
+    }
+
+    const autor = appState.usuarioLogado.nome;
+    if (aprovado) {
+        cancelarPedido(pedido, autor);
+    } else {
+        responderSolicitacaoCancelamento(pedido, 'recusado', autor);
+    }
+
+    salvarDados();
+    mostrarMensagem(aprovado ? 'Cancelamento aprovado e pagamento estornado' : 'Cancelamento recusado', 'success');
+    renderizarPedidos();
+    renderizarProdutos();
+}
+
+/**
+ * Cancela o pedido, repõe o estoque e estorna se houve pagamento pelo provedor
+ */
+function cancelarPedido(pedido, autor) {
+    const foiPago = pedido.historicoStatus.some(h => h.status === 'pago') && !!pedido.pagamento;
+
+    // Cancelar direto pelo painel também atende uma solicitação pendente do cliente
+    if (pedido.cancelamento?.status === 'solicitado') {
+        responderSolicitacaoCancelamento(pedido, 'aprovado', autor);
+    }
+
+    registrarStatusPedido(pedido, 'cancelado', autor);
+    reporEstoquePedido(pedido);
+    if (foiPago) {
+        reembolsarPedido(pedido, autor);
+    }
+}
+
+function responderSolicitacaoCancelamento(pedido, status, autor) {
+    pedido.cancelamento.status = status;
+    pedido.cancelamento.respondidoEm = new Date().toISOString();
+    pedido.cancelamento.respondidoPor = autor;
+}
+
+/**
+ * Devolve ao estoque as quantidades do pedido (uma única vez).
+ * Itens excluídos definitivamente desde a compra são ignorados
+ */
+function reporEstoquePedido(pedido) {
+    if (pedido.estoqueRepostoEm) return;
+
+    for (let linha of pedido.itens) {
+        const encontrado = buscarItem(linha.id);
+        if (encontrado) {
+            encontrado.item.estoque = (encontrado.item.estoque || 0) + linha.quantidade;
+        }
+    }
+    pedido.estoqueRepostoEm = new Date().toISOString();
+}
+
+function reembolsarPedido(pedido, autor) {
+    // Estorna pelo provedor que cobrou, mesmo que a configuração tenha mudado depois
+    const provedor = pedido.pagamento?.provedor || appState.configPagamento.provedor;
+    const resultado = provedor === 'stripe'
+        ? reembolsarPagamentoStripe(pedido)
+        : reembolsarPagamentoMercadoPago(pedido);
+
+    if (!resultado.sucesso) {
+        mostrarMensagem('Falha ao estornar o pagamento. Tente novamente.', 'error');
+        return;
+    }
+
+    pedido.reembolso = {
+        provedor: resultado.provedor,
+        reembolsoId: resultado.reembolsoId,
+        valor: pedido.total,
+        data: new Date().toISOString()
+    };
+    registrarStatusPedido(pedido, 'reembolsado', autor);
+}
+
+// ========================================
+// PAINEL ADMIN - PRODUTORES
+// ========================================
+
+// Selos exibidos no perfil público (chave gravada em perfil.certificacoes)
+const CERTIFICACOES_PRODUTOR = {
+    organico: 'Orgânico certificado',
+    agroecologico: 'Agroecológico',
+    familiar: 'Agricultura familiar',
+    artesanal: 'Produção artesanal',
+    comercio_justo: 'Comércio justo'
+};
+
+const PERFIL_DESCRICAO_MAX = 1000;
+const PERFIL_LOCALIZACAO_MAX = 100;
+
+// Foto do produtor aberto no modal de edição: a atual (id) e a nova, ainda não gravada
+let fotoProdutorEmEdicao = { fotoId: null, nova: null };
+
+function criarPerfilProdutorVazio() {
+    return { descricao: '', localizacao: '', fotoId: null, certificacoes: [] };
+}
+
+async function handleNovoProductorForm(e) {
+    e.preventDefault();
+
+    if (!usuarioTemPermissao(PERMISSOES.GERENCIAR_PRODUTORES)) {
+        mostrarMensagem('Acesso negado', 'error');
+        return;
+    }
+
+    const nome = sanitizar(document.getElementById('novoProductorNome').value);
+    const email = sanitizar(document.getElementById('novoProductorEmail').value);
+    const senha = document.getElementById('novoProductorSenha').value;
+    const msgEl = document.getElementById('novoProductorMsg');
+
+    const validacao = validarDadosProdutor({ nome, email });
+    if (!validacao.valido) {
+        mostrarMensagem(validacao.erro, 'error', msgEl);
+        return;
+    }
+    if (senha && !validarSenha(senha)) {
+        mostrarMensagem('Senha deve ter pelo menos 6 caracteres', 'error', msgEl);
+        return;
+    }
+
+    const novoProdutor = {
+        id: 'produtor_' + Date.now(),
+        nome,
+        email,
+        role: 'produtor',
+        status: 'aprovado',
+        perfil: criarPerfilProdutorVazio(),
+        listaDeItens: []
+    };
+    // Sem senha, o produtor só entra no portal depois que o admin definir uma
+    if (senha) {
+        novoProdutor.credencial = await gerarCredencialSenha(senha);
+    }
+
+    appState.produtores.push(novoProdutor);
+    salvarDados();
+    mostrarMensagem('Produtor cadastrado com sucesso!', 'success', msgEl);
+    document.getElementById('novoProductorForm').reset();
+    renderizarProdutores();
+
+    setTimeout(() => msgEl.textContent = '', 3000);
+}
+
+function abrirModalEditarProdutor(produtorId) {
+    if (!usuarioTemPermissao(PERMISSOES.GERENCIAR_PRODUTORES)) {
+        mostrarMensagem('Acesso negado', 'error');
+        return;
+    }
+
+    const produtor = appState.produtores.find(p => p.id === produtorId);
+    if (!produtor) return;
+
+    const perfil = produtor.perfil || criarPerfilProdutorVazio();
+    document.getElementById('editarProdutorId').value = produtor.id;
+    document.getElementById('editarProdutorNome').value = decodificarHtml(produtor.nome);
+    document.getElementById('editarProdutorEmail').value = decodificarHtml(produtor.email);
+    document.getElementById('editarProdutorAcesso').textContent = produtor.credencial
+        ? 'Acesso ao portal ativo. Preencha a senha só para trocá-la (as sessões abertas são encerradas).'
+        : 'Sem acesso ao portal: defina uma senha inicial e informe ao produtor.';
+    document.getElementById('editarProdutorSenha').placeholder = produtor.credencial
+        ? 'Nova senha do portal (vazio = manter)'
+        : 'Senha inicial do portal (mín. 6 caracteres)';
+    document.getElementById('editarProdutorDescricao').value = decodificarHtml(perfil.descricao);
+    document.getElementById('editarProdutorLocalizacao').value = decodificarHtml(perfil.localizacao);
+    document.getElementById('editarProdutorCertificacoes').innerHTML =
+        Object.entries(CERTIFICACOES_PRODUTOR).map(([chave, nome]) => `
+            <label class="form-checkbox">
+                <input type="checkbox" value="${chave}" ${perfil.certificacoes.includes(chave) ? 'checked' : ''}> ${nome}
+            </label>
+        `).join('');
+    fotoProdutorEmEdicao = { fotoId: perfil.fotoId, nova: null };
+    renderizarFotoProdutorEmEdicao();
+    document.getElementById('editarProdutorMsg').textContent = '';
+    document.getElementById('editarProdutorModal').style.display = 'flex';
+}
+
+function fecharModalProdutor() {
+    document.getElementById('editarProdutorModal').style.display = 'none';
+    document.getElementById('editarProdutorForm').reset();
+    fotoProdutorEmEdicao = { fotoId: null, nova: null };
+}
+
+async function selecionarFotoProdutor(input) {
+    const arquivo = input.files[0];
+    input.value = '';
+    if (!arquivo) return;
+
+    try {
+        const imagem = await processarArquivoImagem(arquivo);
+        fotoProdutorEmEdicao.nova = { id: `img_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`, imagem };
+    } catch (e) {
+        mostrarMensagem(`${arquivo.name}: ${e.message}`, 'error', document.getElementById('editarProdutorMsg'));
+        return;
+    }
+    renderizarFotoProdutorEmEdicao();
+}
+
+function removerFotoProdutorEmEdicao() {
+    fotoProdutorEmEdicao = { fotoId: null, nova: null };
+    renderizarFotoProdutorEmEdicao();
+}
+
+function renderizarFotoProdutorEmEdicao() {
+    const container = document.getElementById('editarProdutorFotoPrevia');
+    const { fotoId, nova } = fotoProdutorEmEdicao;
+    if (!fotoId && !nova) {
+        container.innerHTML = '<div class="item-imagem miniatura sem-imagem"></div>';
+        return;
+    }
+
+    container.innerHTML = `
+        <div class="item-imagem miniatura${nova ? '' : ' sem-imagem'}">
+            <img ${nova ? `src="${nova.imagem.miniatura}"` : `data-imagem-id="${sanitizar(fotoId)}" data-tamanho="miniatura"`} alt="Foto do produtor">
+        </div>
+        <button type="button" class="btn btn-danger btn-small" onclick="removerFotoProdutorEmEdicao()">Remover foto</button>
+    `;
+    carregarImagensPendentes(container);
+}
+
+async function handleEditarProdutorForm(e) {
+    e.preventDefault();
+
+    if (!usuarioTemPermissao(PERMISSOES.GERENCIAR_PRODUTORES)) {
+        mostrarMensagem('Acesso negado', 'error');
+        return;
+    }
+
+    const produtorId = document.getElementById('editarProdutorId').value;
+    const nome = sanitizar(document.getElementById('editarProdutorNome').value);
+    const email = sanitizar(document.getElementById('editarProdutorEmail').value);
+    const descricao = sanitizar(document.getElementById('editarProdutorDescricao').value.trim());
+    const localizacao = sanitizar(document.getElementById('editarProdutorLocalizacao').value.trim());
+    const certificacoes = [...document.querySelectorAll('#editarProdutorCertificacoes input:checked')].map(c => c.value);
+    const senha = document.getElementById('editarProdutorSenha').value;
+    const msgEl = document.getElementById('editarProdutorMsg');
+
+    const produtor = appState.produtores.find(p => p.id === produtorId);
+    if (!produtor) {
+        mostrarMensagem('Produtor não encontrado', 'error', msgEl);
+        return;
+    }
+
+    const validacao = validarDadosProdutor({ nome, email }, produtorId);
+    if (!validacao.valido) {
+        mostrarMensagem(validacao.erro, 'error', msgEl);
+        return;
+    }
+    const validacaoPerfil = validarPerfilProdutor({ descricao, localizacao, certificacoes });
+    if (!validacaoPerfil.valido) {
+        mostrarMensagem(validacaoPerfil.erro, 'error', msgEl);
+        return;
+    }
+    if (senha && !validarSenha(senha)) {
+        mostrarMensagem('Senha deve ter pelo menos 6 caracteres', 'error', msgEl);
+        return;
+    }
+    const credencial = senha ? await gerarCredencialSenha(senha) : null;
+
+    const { nova } = fotoProdutorEmEdicao;
+    if (nova) {
+        try {
+            await armazenamento.salvarImagem(nova.id, nova.imagem);
+            cacheImagens.set(nova.id, Promise.resolve(nova.imagem));
+        } catch (erro) {
+            console.error('Erro ao salvar foto:', erro);
+            mostrarMensagem('Não foi possível salvar a foto; verifique o espaço de armazenamento', 'error', msgEl);
+            return;
+        }
+    }
+    const fotoId = nova ? nova.id : fotoProdutorEmEdicao.fotoId;
+    const perfilAnterior = produtor.perfil || criarPerfilProdutorVazio();
+    if (perfilAnterior.fotoId && perfilAnterior.fotoId !== fotoId) {
+        removerImagensArmazenadas([perfilAnterior.fotoId]);
+    }
+
+    // Pedidos antigos guardam o nome da época da compra; só o cadastro muda
+    produtor.nome = nome;
+    produtor.email = email;
+    produtor.perfil = { descricao, localizacao, fotoId, certificacoes };
+    if (credencial) {
+        // Senha trocada pelo admin: quem estava logado com a antiga precisa entrar de novo
+        if (produtor.credencial) {
+            appState.sessoes = appState.sessoes.filter(s => s.usuarioId !== produtor.id);
+        }
+        produtor.credencial = credencial;
+    }
+    salvarDados();
+    mostrarMensagem('Produtor atualizado com sucesso!', 'success');
+    fecharModalProdutor();
+    renderizarProdutores();
+    renderizarProdutos();
+}
+
+function abrirModalNovoItem(produtorId) {
+    if (!podeGerenciarItensDe(produtorId)) {
+        mostrarMensagem('Acesso negado', 'error');
+        return;
+    }
+
+    document.getElementById('novoItemForm').reset();
+    document.getElementById('novoItemId').value = '';
+    document.getElementById('novoItemDisponivelBox').style.display = 'none';
+    document.getElementById('novoItemHistorico').innerHTML = '';
+    document.getElementById('novoItemTitulo').textContent = 'Adicionar Item ao Estoque';
+    document.getElementById('novoItemSubmitBtn').textContent = 'Adicionar Item';
+    document.getElementById('novoItemProductorId').value = produtorId;
+    preencherSelectCategorias(document.getElementById('novoItemCategoria'), '', 'Sem categoria');
+    iniciarImagensItemEmEdicao([]);
+    document.getElementById('novoItemModal').style.display = 'flex';
+}
+
+/**
+ * Abre o mesmo modal preenchido com um item existente
+ */
+function abrirModalEditarItem(produtorId, itemId) {
+    if (!podeGerenciarItensDe(produtorId)) {
+        mostrarMensagem('Acesso negado', 'error');
+        return;
+    }
+
+    const encontrado = buscarItem(itemId);
+    if (!encontrado || encontrado.produtor.id !== produtorId) return;
+
+    const { item } = encontrado;
+    document.getElementById('novoItemId').value = item.id;
+    document.getElementById('novoItemProductorId').value = produtorId;
+    document.getElementById('novoItemSku').value = decodificarHtml(item.sku || '');
+    document.getElementById('novoItemNome').value = decodificarHtml(item.nome);
+    document.getElementById('novoItemDescricao').value = decodificarHtml(item.descricao);
+    document.getElementById('novoItemPreco').value = item.preco;
+    document.getElementById('novoItemEstoque').value = item.estoque;
+    document.getElementById('novoItemPeso').value = item.pesoKg || '';
+    preencherSelectCategorias(document.getElementById('novoItemCategoria'), item.categoriaId, 'Sem categoria');
+    document.getElementById('novoItemTags').value = (item.tags || []).map(decodificarHtml).join(', ');
+    iniciarImagensItemEmEdicao(item.imagens || []);
+    document.getElementById('novoItemDisponivel').checked = item.disponivel;
+    document.getElementById('novoItemDisponivelBox').style.display = 'block';
+    document.getElementById('novoItemHistorico').innerHTML = htmlHistoricoPrecos(item);
+    document.getElementById('novoItemTitulo').textContent = 'Editar Item';
+    document.getElementById('novoItemSubmitBtn').textContent = 'Salvar Alterações';
+    document.getElementById('novoItemModal').style.display = 'flex';
+}
+
+/**
+ * Guarda no histórico do item a troca de preço (se houver) antes de aplicá-la
+ */
+function registrarAlteracaoPreco(item, novoPreco) {
+    if (item.preco === novoPreco) return;
+    item.historicoPrecos = item.historicoPrecos || [];
+    item.historicoPrecos.push({
+        data: new Date().toISOString(),
+        precoAnterior: item.preco,
+        precoNovo: novoPreco,
+        alteradoPor: appState.usuarioLogado.nome
+    });
+}
+
+/**
+ * SKU é o código do próprio produtor: único dentro da lista de itens dele
+ */
+function buscarItemPorSku(produtor, sku, ignorarItemId = null) {
+    return produtor.listaDeItens.find(i => i.sku === sku && i.id !== ignorarItemId) || null;
+}
+
+/**
+ * Alterações de preço do item, da mais recente para a mais antiga
+ */
+function htmlHistoricoPrecos(item) {
+    const historico = item.historicoPrecos || [];
+    if (historico.length === 0) return '';
+
+    return `
+        <h4>Histórico de preços</h4>
+        <ul class="historico-precos">
+            ${historico.slice().reverse().map(h => `
+                <li>
+                    ${new Date(h.data).toLocaleString('pt-BR')}:
+                    R$ ${h.precoAnterior.toFixed(2)} → R$ ${h.precoNovo.toFixed(2)}
+                    <span class="historico-autor">${sanitizar(h.alteradoPor)}</span>
+                </li>
+            `).join('')}
+        </ul>
+    `;
+}
+
+function fecharModal() {
+    document.getElementById('novoItemModal').style.display = 'none';
+    document.getElementById('novoItemForm').reset();
+    document.getElementById('novoItemId').value = '';
+    // Imagens não gravadas são só descartadas: ainda não estão no armazenamento
+    imagensItemEmEdicao = { ids: [], novas: new Map() };
+}
+
+async function handleNovoItemForm(e) {
+    e.preventDefault();
+
+    const produtorId = document.getElementById('novoItemProductorId').value;
+    const itemId = document.getElementById('novoItemId').value;
+
+    if (!podeGerenciarItensDe(produtorId)) {
+        mostrarMensagem('Acesso negado', 'error');
+        return;
+    }
+
+    const sku = sanitizar(document.getElementById('novoItemSku').value.trim());
+    const nome = sanitizar(document.getElementById('novoItemNome').value);
+    const descricao = sanitizar(document.getElementById('novoItemDescricao').value);
+    const preco = parseFloat(document.getElementById('novoItemPreco').value);
+    const estoque = parseInt(document.getElementById('novoItemEstoque').value, 10);
+    const pesoKg = parseFloat(document.getElementById('novoItemPeso').value || '0');
+    const categoriaId = document.getElementById('novoItemCategoria').value || null;
+    const tags = normalizarTags(document.getElementById('novoItemTags').value);
+    const msgEl = document.getElementById('novoItemMsg');
+
+    const validacao = validarDadosItem({ nome, descricao, preco, estoque, pesoKg });
+    if (!validacao.valido) {
+        mostrarMensagem(validacao.erro, 'error', msgEl);
+        return;
+    }
+
+    const produtor = appState.produtores.find(p => p.id === produtorId);
+    if (!produtor) {
+        mostrarMensagem('Produtor não encontrado', 'error', msgEl);
+        return;
+    }
+    if (sku && buscarItemPorSku(produtor, sku, itemId)) {
+        mostrarMensagem('SKU já usado por outro item deste produtor', 'error', msgEl);
+        return;
+    }
+    if (categoriaId && !buscarCategoria(categoriaId)) {
+        mostrarMensagem('Categoria não encontrada', 'error', msgEl);
+        return;
+    }
+
+    const imagens = [...imagensItemEmEdicao.ids];
+    if (imagensItemEmEdicao.novas.size > 0) {
+        // Sem o botão, um segundo envio não cria outro item enquanto as imagens são gravadas
+        const submitBtn = document.getElementById('novoItemSubmitBtn');
+        submitBtn.disabled = true;
+        try {
+            await gravarImagensItemEmEdicao();
+        } catch (erro) {
+            console.error('Erro ao salvar imagens:', erro);
+            mostrarMensagem('Não foi possível salvar as imagens; verifique o espaço de armazenamento', 'error', msgEl);
+            return;
+        } finally {
+            submitBtn.disabled = false;
+        }
+        // O catálogo pode ter mudado durante a espera (outra aba, importação)
+        if (sku && buscarItemPorSku(produtor, sku, itemId)) {
+            mostrarMensagem('SKU já usado por outro item deste produtor', 'error', msgEl);
+            return;
+        }
+    }
+
+    if (itemId) {
+        const item = produtor.listaDeItens.find(i => i.id === itemId);
+        if (!item) {
+            mostrarMensagem('Item não encontrado', 'error', msgEl);
+            return;
+        }
+        registrarAlteracaoPreco(item, preco);
+        const disponivel = document.getElementById('novoItemDisponivel').checked;
+        removerImagensArmazenadas((item.imagens || []).filter(id => !imagens.includes(id)));
+        Object.assign(item, { sku, nome, descricao, preco, estoque, pesoKg, disponivel, categoriaId, tags, imagens });
+    } else {
+        const novoItem = {
+            id: 'item_' + Date.now(),
+            sku,
+            nome,
+            descricao,
+            preco,
+            produtorId,
+            disponivel: true,
+            estoque,
+            pesoKg,
+            categoriaId,
+            tags,
+            imagens,
+            historicoPrecos: [],
+            criadoEm: new Date().toISOString()
+        };
+        produtor.listaDeItens.push(novoItem);
+    }
+
+    salvarDados();
+    mostrarMensagem(itemId ? 'Item atualizado com sucesso!' : 'Item adicionado com sucesso!', 'success', msgEl);
+    fecharModal();
+    renderizarProdutos();
+    renderizarProdutores();
+    renderizarPortalProdutor();
+    renderizarCategorias();
+
+    setTimeout(() => msgEl.textContent = '', 3000);
+}
+
+/**
+ * Retira um item de venda (ou o recoloca) sem apagá-lo
+ */
+function alternarDisponibilidadeItem(produtorId, itemId) {
+    if (!podeGerenciarItensDe(produtorId)) {
+        mostrarMensagem('Acesso negado', 'error');
+        return;
+    }
+
+    const encontrado = buscarItem(itemId);
+    if (!encontrado || encontrado.produtor.id !== produtorId) return;
+
+    encontrado.item.disponivel = !encontrado.item.disponivel;
+    salvarDados();
+    renderizarProdutos();
+    renderizarProdutores();
+    renderizarPortalProdutor();
+}
+
+function aprovarProdutor(produtorId, aprovado) {
+    if (!usuarioTemPermissao(PERMISSOES.GERENCIAR_PRODUTORES)) {
+        mostrarMensagem('Acesso negado', 'error');
+        return;
+    }
+
+    const produtor = appState.produtores.find(p => p.id === produtorId);
+    if (!produtor) return;
+
+    produtor.status = aprovado ? 'aprovado' : 'rejeitado';
+    if (!aprovado) {
+        // Produtor rejeitado perde o acesso imediatamente
+        appState.sessoes = appState.sessoes.filter(s => s.usuarioId !== produtorId);
+    }
+    salvarDados();
+    mostrarMensagem(`${produtor.nome} ${aprovado ? 'aprovado' : 'rejeitado'}`, 'success');
+    renderizarProdutores();
+    renderizarProdutos();
+}
+
+// ========================================
+// ARQUIVAMENTO
+// ========================================
+
+/*
+ * Produtores e itens não são apagados ao sair da loja: ficam arquivados
+ * (arquivado + arquivadoEm) para que pedidos antigos continuem resolvendo
+ * seus itens. A exclusão definitiva só existe na aba Arquivados.
+ */
+
+function atualizarTelasCatalogo() {
+    renderizarProdutores();
+    renderizarArquivados();
+    renderizarProdutos();
+    renderizarPortalProdutor();
+}
+
+function arquivarProdutor(produtorId) {
+    if (!usuarioTemPermissao(PERMISSOES.GERENCIAR_PRODUTORES)) {
+        mostrarMensagem('Acesso negado', 'error');
+        return;
+    }
+
+    const produtor = appState.produtores.find(p => p.id === produtorId);
+    if (!produtor || !confirm(`Arquivar ${produtor.nome}? Os itens saem da loja, mas o histórico de pedidos é mantido.`)) {
+        return;
+    }
+
+    produtor.arquivado = true;
+    produtor.arquivadoEm = new Date().toISOString();
+    // Produtor arquivado perde o acesso ao portal
+    appState.sessoes = appState.sessoes.filter(s => s.usuarioId !== produtorId);
+    salvarDados();
+    atualizarTelasCatalogo();
+}
+
+function restaurarProdutor(produtorId) {
+    if (!usuarioTemPermissao(PERMISSOES.GERENCIAR_PRODUTORES)) {
+        mostrarMensagem('Acesso negado', 'error');
+        return;
+    }
+
+    const produtor = appState.produtores.find(p => p.id === produtorId);
+    if (!produtor) return;
+
+    delete produtor.arquivado;
+    delete produtor.arquivadoEm;
+    salvarDados();
+    mostrarMensagem(`${produtor.nome} restaurado`, 'success');
+    atualizarTelasCatalogo();
+}
+
+function excluirProdutorDefinitivamente(produtorId) {
+    if (!usuarioTemPermissao(PERMISSOES.GERENCIAR_PRODUTORES)) {
+        mostrarMensagem('Acesso negado', 'error');
+        return;
+    }
+
+    const produtor = appState.produtores.find(p => p.id === produtorId);
+    if (!produtor || !produtor.arquivado) return;
+    if (!confirm(`Excluir ${produtor.nome} definitivamente? Pedidos antigos manterão apenas os nomes gravados na compra.`)) {
+        return;
+    }
+
+    appState.produtores = appState.produtores.filter(p => p.id !== produtorId);
+    salvarDados();
+    removerImagensArmazenadas([
+        ...produtor.listaDeItens.flatMap(i => i.imagens || []),
+        ...(produtor.perfil?.fotoId ? [produtor.perfil.fotoId] : [])
+    ]);
+    atualizarTelasCatalogo();
+}
+
+function arquivarItem(produtorId, itemId) {
+    if (!podeGerenciarItensDe(produtorId)) {
+        mostrarMensagem('Acesso negado', 'error');
+        return;
+    }
+
+    const encontrado = buscarItem(itemId);
+    if (!encontrado || encontrado.produtor.id !== produtorId) return;
+
+    encontrado.item.arquivado = true;
+    encontrado.item.arquivadoEm = new Date().toISOString();
+    salvarDados();
+    atualizarTelasCatalogo();
+}
+
+function restaurarItem(produtorId, itemId) {
+    if (!podeGerenciarItensDe(produtorId)) {
+        mostrarMensagem('Acesso negado', 'error');
+        return;
+    }
+
+    const encontrado = buscarItem(itemId);
+    if (!encontrado || encontrado.produtor.id !== produtorId) return;
+
+    delete encontrado.item.arquivado;
+    delete encontrado.item.arquivadoEm;
+    salvarDados();
+    atualizarTelasCatalogo();
+}
+
+function excluirItemDefinitivamente(produtorId, itemId) {
+    if (!usuarioTemPermissao(PERMISSOES.GERENCIAR_ITENS)) {
+        mostrarMensagem('Acesso negado', 'error');
+        return;
+    }
+
+    const produtor = appState.produtores.find(p => p.id === produtorId);
+    const item = produtor && produtor.listaDeItens.find(i => i.id === itemId);
+    if (!item || !item.arquivado) return;
+    if (!confirm(`Excluir ${item.nome} definitivamente?`)) return;
+
+    produtor.listaDeItens = produtor.listaDeItens.filter(i => i.id !== itemId);
+    salvarDados();
+    removerImagensArmazenadas(item.imagens || []);
+    atualizarTelasCatalogo();
+}
+
+// ========================================
+// CATEGORIAS E TAGS
+// ========================================
+
+/*
+ * Categorias formam uma árvore em appState.categorias ({ id, nome, paiId }).
+ * Cada item pertence a no máximo uma categoria (categoriaId) e pode ter
+ * várias tags livres (tags: []), sempre normalizadas em minúsculas.
+ */
+
+const TAGS_MAX_POR_ITEM = 10;
+const TAG_MAX_TAMANHO = 30;
+
+function buscarCategoria(categoriaId) {
+    return appState.categorias.find(c => c.id === categoriaId) || null;
+}
+
+function subcategorias(categoriaId) {
+    return appState.categorias
+        .filter(c => (c.paiId || null) === (categoriaId || null))
+        .sort((a, b) => a.nome.localeCompare(b.nome, 'pt-BR'));
+}
+
+/**
+ * Id da categoria e de todas as suas descendentes
+ */
+function idsCategoriaEDescendentes(categoriaId) {
+    const ids = new Set([categoriaId]);
+    // Percorre em largura; o Set evita laço se os dados tiverem um ciclo
+    for (let id of ids) {
+        for (let filha of appState.categorias.filter(c => c.paiId === id)) {
+            ids.add(filha.id);
+        }
+    }
+    return ids;
+}
+
+/**
+ * Categorias da raiz até a informada (inclusive)
+ */
+function ancestraisCategoria(categoriaId) {
+    const caminho = [];
+    let atual = buscarCategoria(categoriaId);
+    while (atual && !caminho.includes(atual)) {
+        caminho.unshift(atual);
+        atual = buscarCategoria(atual.paiId);
+    }
+    return caminho;
+}
+
+function caminhoCategoria(categoriaId) {
+    return ancestraisCategoria(categoriaId).map(c => c.nome).join(' › ');
+}
+
+/**
+ * Categorias em ordem de árvore, com a profundidade de cada uma
+ */
+function categoriasEmArvore(paiId = null, profundidade = 0) {
+    return subcategorias(paiId).flatMap(categoria => [
+        { categoria, profundidade },
+        ...categoriasEmArvore(categoria.id, profundidade + 1)
+    ]);
+}
+
+/**
+ * Preenche um select com a árvore de categorias (subcategorias indentadas)
+ */
+function preencherSelectCategorias(select, selecionada, rotuloVazio, ignorarId = null) {
+    // A categoria ignorada e suas descendentes não podem ser escolhidas como pai dela mesma
+    const ignorados = ignorarId ? idsCategoriaEDescendentes(ignorarId) : new Set();
+    select.innerHTML = `<option value="">${rotuloVazio}</option>` +
+        categoriasEmArvore()
+            .filter(({ categoria }) => !ignorados.has(categoria.id))
+            .map(({ categoria, profundidade }) => `
+                <option value="${sanitizar(categoria.id)}">${'— '.repeat(profundidade)}${sanitizar(categoria.nome)}</option>
+            `).join('');
+    select.value = buscarCategoria(selecionada) && !ignorados.has(selecionada) ? selecionada : '';
+}
+
+/**
+ * Separa, limpa e deduplica tags digitadas (vírgula ou barra vertical)
+ */
+function normalizarTags(texto) {
+    const tags = String(texto || '')
+        .split(/[,|]/)
+        // Aspas e sinais de tag ficam de fora: a tag vai para atributos data-* na loja
+        .map(tag => sanitizar(tag.replace(/["'`<>]/g, '').trim().toLowerCase().replace(/\s+/g, ' ')).slice(0, TAG_MAX_TAMANHO))
+        .filter(Boolean);
+    return [...new Set(tags)].slice(0, TAGS_MAX_POR_ITEM);
+}
+
+function validarNomeCategoria(nome, paiId, ignorarId = null) {
+    if (!nome || nome.length < 2) {
+        return { valido: false, erro: 'Nome da categoria deve ter no mínimo 2 caracteres' };
+    }
+    const repetida = appState.categorias.some(c =>
+        c.id !== ignorarId &&
+        (c.paiId || null) === (paiId || null) &&
+        normalizarBusca(c.nome) === normalizarBusca(nome)
+    );
+    if (repetida) {
+        return { valido: false, erro: 'Já existe uma categoria com esse nome neste nível' };
+    }
+    return { valido: true };
+}
+
+function itensDaCategoria(categoriaId) {
+    return appState.produtores.flatMap(p => p.listaDeItens).filter(i => i.categoriaId === categoriaId);
+}
+
+function atualizarTelasCategorias() {
+    renderizarCategorias();
+    renderizarProdutos();
+    renderizarProdutores();
+    renderizarPortalProdutor();
+}
+
+function handleNovaCategoriaForm(e) {
+    e.preventDefault();
+
+    if (!usuarioTemPermissao(PERMISSOES.GERENCIAR_ITENS)) {
+        mostrarMensagem('Acesso negado', 'error');
+        return;
+    }
+
+    const nome = sanitizar(document.getElementById('novaCategoriaNome').value.trim());
+    const paiId = document.getElementById('novaCategoriaPai').value || null;
+    const msgEl = document.getElementById('novaCategoriaMsg');
+
+    if (paiId && !buscarCategoria(paiId)) {
+        mostrarMensagem('Categoria pai não encontrada', 'error', msgEl);
+        return;
+    }
+    const validacao = validarNomeCategoria(nome, paiId);
+    if (!validacao.valido) {
+        mostrarMensagem(validacao.erro, 'error', msgEl);
+        return;
+    }
+
+    appState.categorias.push({ id: 'cat_' + Date.now(), nome, paiId });
     salvarDados();
-    mostrarMensagem('Login realizado com sucesso!', 'success', msgEl);
-    atualizarUI();
-    fecharLoginModal();
+    mostrarMensagem('Categoria criada com sucesso!', 'success', msgEl);
+    document.getElementById('novaCategoriaForm').reset();
+    atualizarTelasCategorias();
+
     setTimeout(() => msgEl.textContent = '', 3000);
 }
 
-function handleRegistroForm(e) {
-    e.preventDefault();
-    const nome = sanitizar(document.getElementById('registroNome').value);
-    const email = sanitizar(document.getElementById('registroEmail').value);
-    const senha = document.getElementById('registroSenha').value;
-    const confirmar = document.getElementById('registroConfirm').value;
-    const msgEl = document.getElementById('registroMsg');
+function renomearCategoria(categoriaId) {
+    if (!usuarioTemPermissao(PERMISSOES.GERENCIAR_ITENS)) {
+        mostrarMensagem('Acesso negado', 'error');
+        return;
+    }
+
+    const categoria = buscarCategoria(categoriaId);
+    if (!categoria) return;
+
+    const digitado = prompt('Novo nome da categoria:', decodificarHtml(categoria.nome));
+    if (digitado === null) return;
+
+    const nome = sanitizar(digitado.trim());
+    const validacao = validarNomeCategoria(nome, categoria.paiId, categoria.id);
+    if (!validacao.valido) {
+        mostrarMensagem(validacao.erro, 'error');
+        return;
+    }
+
+    categoria.nome = nome;
+    salvarDados();
+    atualizarTelasCategorias();
+}
+
+/**
+ * Move a categoria (com suas subcategorias) para outro pai
+ */
+function moverCategoria(categoriaId, novoPaiId) {
+    if (!usuarioTemPermissao(PERMISSOES.GERENCIAR_ITENS)) {
+        mostrarMensagem('Acesso negado', 'error');
+        return;
+    }
+
+    const categoria = buscarCategoria(categoriaId);
+    if (!categoria) return;
+
+    const paiId = novoPaiId || null;
+    if (paiId && (!buscarCategoria(paiId) || idsCategoriaEDescendentes(categoriaId).has(paiId))) {
+        mostrarMensagem('Uma categoria não pode ficar dentro de si mesma', 'error');
+        renderizarCategorias();
+        return;
+    }
+    const validacao = validarNomeCategoria(categoria.nome, paiId, categoria.id);
+    if (!validacao.valido) {
+        mostrarMensagem(validacao.erro, 'error');
+        renderizarCategorias();
+        return;
+    }
+
+    categoria.paiId = paiId;
+    salvarDados();
+    atualizarTelasCategorias();
+}
+
+/**
+ * Só remove categorias vazias: sem subcategorias e sem itens (inclusive arquivados)
+ */
+function removerCategoria(categoriaId) {
+    if (!usuarioTemPermissao(PERMISSOES.GERENCIAR_ITENS)) {
+        mostrarMensagem('Acesso negado', 'error');
+        return;
+    }
+
+    const categoria = buscarCategoria(categoriaId);
+    if (!categoria) return;
+
+    if (subcategorias(categoriaId).length > 0) {
+        mostrarMensagem('Remova ou mova as subcategorias antes', 'error');
+        return;
+    }
+    const itens = itensDaCategoria(categoriaId);
+    if (itens.length > 0) {
+        mostrarMensagem(`${itens.length} item(ns) ainda usam esta categoria`, 'error');
+        return;
+    }
+    if (!confirm(`Remover a categoria ${categoria.nome}?`)) return;
+
+    appState.categorias = appState.categorias.filter(c => c.id !== categoriaId);
+    if (filtrosLoja.categoriaId === categoriaId) {
+        filtrosLoja.categoriaId = '';
+        atualizarUrlFiltrosLoja();
+    }
+    salvarDados();
+    atualizarTelasCategorias();
+}
+
+/**
+ * Itens à venda, unidades vendidas e receita por categoria, somando as subcategorias.
+ * Linhas de pedido usam a categoria gravada na compra; pedidos antigos, a atual do item.
+ */
+function relatorioCategorias() {
+    const porCategoria = new Map();
+    const somar = (categoriaId, campo, valor) => {
+        const chave = buscarCategoria(categoriaId) ? categoriaId : null;
+        const linha = porCategoria.get(chave) || { itensAVenda: 0, unidades: 0, receita: 0 };
+        linha[campo] += valor;
+        porCategoria.set(chave, linha);
+    };
+
+    for (let produtor of appState.produtores) {
+        for (let item of produtor.listaDeItens) {
+            somar(item.categoriaId, 'itensAVenda', itemAVenda({ item, produtor }) ? 1 : 0);
+        }
+    }
+    for (let pedido of appState.pedidos) {
+        if (pedido.status === 'cancelado' || pedido.status === 'reembolsado') continue;
+        for (let linha of pedido.itens) {
+            const categoriaId = linha.categoriaId !== undefined
+                ? linha.categoriaId
+                : buscarItem(linha.id)?.item.categoriaId;
+            somar(categoriaId, 'unidades', linha.quantidade);
+            somar(categoriaId, 'receita', linha.subtotal);
+        }
+    }
+
+    const totalDe = ids => [...ids].reduce((total, id) => {
+        const linha = porCategoria.get(id);
+        if (linha) {
+            total.itensAVenda += linha.itensAVenda;
+            total.unidades += linha.unidades;
+            total.receita += linha.receita;
+        }
+        return total;
+    }, { itensAVenda: 0, unidades: 0, receita: 0 });
+
+    const linhas = categoriasEmArvore().map(({ categoria, profundidade }) => ({
+        categoria,
+        profundidade,
+        ...totalDe(idsCategoriaEDescendentes(categoria.id))
+    }));
+    if (porCategoria.has(null)) {
+        linhas.push({ categoria: null, profundidade: 0, ...totalDe([null]) });
+    }
+    return linhas;
+}
+
+function renderizarCategorias() {
+    const listaEl = document.getElementById('categoriasList');
+    const relatorioEl = document.getElementById('relatorioCategorias');
+    preencherSelectCategorias(document.getElementById('novaCategoriaPai'),
+        document.getElementById('novaCategoriaPai').value, 'Sem categoria pai (raiz)');
+
+    const arvore = categoriasEmArvore();
+    if (arvore.length === 0) {
+        listaEl.innerHTML = '<p>Nenhuma categoria cadastrada.</p>';
+    } else {
+        listaEl.innerHTML = arvore.map(({ categoria, profundidade }) => {
+            const id = sanitizar(categoria.id);
+            return `
+                <div class="categoria-linha" style="padding-left: ${profundidade * 1.5}rem">
+                    <span class="categoria-nome">${sanitizar(categoria.nome)}</span>
+                    <span class="categoria-contagem">${itensDaCategoria(categoria.id).length} item(ns)</span>
+                    <select id="categoriaPai_${id}" onchange="moverCategoria('${id}', this.value)"
+                        title="Categoria pai"></select>
+                    <button class="btn btn-secondary btn-small" onclick="renomearCategoria('${id}')">Renomear</button>
+                    <button class="btn btn-danger btn-small" onclick="removerCategoria('${id}')">Remover</button>
+                </div>
+            `;
+        }).join('');
+        for (let { categoria } of arvore) {
+            preencherSelectCategorias(document.getElementById(`categoriaPai_${categoria.id}`),
+                categoria.paiId, 'Raiz', categoria.id);
+        }
+    }
+
+    const relatorio = relatorioCategorias();
+    relatorioEl.innerHTML = relatorio.length === 0 ? '<p>Sem dados para o relatório.</p>' : `
+        <table class="relatorio-categorias">
+            <thead>
+                <tr><th>Categoria</th><th>Itens à venda</th><th>Unidades vendidas</th><th>Receita</th></tr>
+            </thead>
+            <tbody>
+                ${relatorio.map(linha => `
+                    <tr>
+                        <td style="padding-left: ${0.5 + linha.profundidade * 1.5}rem">
+                            ${linha.categoria ? sanitizar(linha.categoria.nome) : '<em>Sem categoria</em>'}
+                        </td>
+                        <td>${linha.itensAVenda}</td>
+                        <td>${linha.unidades}</td>
+                        <td>R$ ${linha.receita.toFixed(2)}</td>
+                    </tr>
+                `).join('')}
+            </tbody>
+        </table>
+    `;
+}
+
+// ========================================
+// IMAGENS DOS ITENS
+// ========================================
+
+/*
+ * Cada arquivo enviado é redimensionado no navegador em duas versões JPEG:
+ * miniatura (cards e carrinho) e detalhe. As duas são gravadas juntas pelo
+ * adaptador de armazenamento; o item guarda só os ids, e o primeiro é a capa.
+ */
+
+const IMAGEM_LADO_MINIATURA = 320;
+const IMAGEM_LADO_DETALHE = 1200;
+const IMAGEM_QUALIDADE_JPEG = 0.82;
+const IMAGEM_MAX_BYTES = 10 * 1024 * 1024;
+const IMAGENS_MAX_POR_ITEM = 5;
+
+// Imagens já pedidas ao armazenamento (id -> Promise<imagem | null>)
+const cacheImagens = new Map();
+
+// Imagens do item aberto no modal: ids na ordem de exibição e as ainda não gravadas
+let imagensItemEmEdicao = { ids: [], novas: new Map() };
+
+function abrirArquivoImagem(arquivo) {
+    return new Promise((resolve, reject) => {
+        const url = URL.createObjectURL(arquivo);
+        const img = new Image();
+        img.onload = () => {
+            URL.revokeObjectURL(url);
+            resolve(img);
+        };
+        img.onerror = () => {
+            URL.revokeObjectURL(url);
+            reject(new Error('Arquivo de imagem inválido'));
+        };
+        img.src = url;
+    });
+}
+
+/**
+ * Reduz a imagem para caber em ladoMaximo (sem ampliar) e comprime em JPEG
+ */
+function redimensionarImagem(img, ladoMaximo) {
+    const escala = Math.min(1, ladoMaximo / Math.max(img.naturalWidth, img.naturalHeight));
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.max(1, Math.round(img.naturalWidth * escala));
+    canvas.height = Math.max(1, Math.round(img.naturalHeight * escala));
+
+    const contexto = canvas.getContext('2d');
+    // JPEG não tem transparência: fundo branco no lugar do preto
+    contexto.fillStyle = '#fff';
+    contexto.fillRect(0, 0, canvas.width, canvas.height);
+    contexto.drawImage(img, 0, 0, canvas.width, canvas.height);
+    return canvas.toDataURL('image/jpeg', IMAGEM_QUALIDADE_JPEG);
+}
+
+async function processarArquivoImagem(arquivo) {
+    if (!/^image\//.test(arquivo.type)) {
+        throw new Error('Formato não suportado');
+    }
+    if (arquivo.size > IMAGEM_MAX_BYTES) {
+        throw new Error('Arquivo maior que 10 MB');
+    }
+    const img = await abrirArquivoImagem(arquivo);
+    return {
+        miniatura: redimensionarImagem(img, IMAGEM_LADO_MINIATURA),
+        detalhe: redimensionarImagem(img, IMAGEM_LADO_DETALHE)
+    };
+}
+
+function obterImagem(imagemId) {
+    if (!cacheImagens.has(imagemId)) {
+        cacheImagens.set(imagemId, armazenamento.carregarImagem(imagemId).catch(e => {
+            console.error('Erro ao carregar imagem:', e);
+            cacheImagens.delete(imagemId);
+            return null;
+        }));
+    }
+    return cacheImagens.get(imagemId);
+}
+
+/**
+ * Moldura com a capa do item (ou o marcador de "sem imagem");
+ * o src é preenchido depois por carregarImagensPendentes
+ */
+function htmlImagemItem(item, classe, tamanho = 'miniatura') {
+    const imagemId = (item.imagens || [])[0];
+    return `
+        <div class="item-imagem ${classe} sem-imagem">
+            ${imagemId ? `<img data-imagem-id="${sanitizar(imagemId)}" data-tamanho="${tamanho}" alt="${sanitizar(item.nome)}">` : ''}
+        </div>
+    `;
+}
+
+function carregarImagensPendentes(container) {
+    container.querySelectorAll('img[data-imagem-id]:not([src])').forEach(async img => {
+        const imagem = await obterImagem(img.dataset.imagemId);
+        if (!imagem) return;
+        img.src = imagem[img.dataset.tamanho] || imagem.miniatura;
+        img.parentElement.classList.remove('sem-imagem');
+    });
+}
+
+/**
+ * Ids de todas as imagens usadas pelos itens e fotos de perfil dos produtores
+ */
+function idsImagensReferenciadas(produtores) {
+    const ids = new Set();
+    for (let produtor of produtores) {
+        if (produtor.perfil?.fotoId) ids.add(produtor.perfil.fotoId);
+        for (let item of produtor.listaDeItens) {
+            (item.imagens || []).forEach(id => ids.add(id));
+        }
+    }
+    return ids;
+}
+
+/**
+ * Apaga imagens que nenhum item usa mais (falhas só vão para o console)
+ */
+function removerImagensArmazenadas(imagemIds) {
+    for (let imagemId of imagemIds) {
+        cacheImagens.delete(imagemId);
+        armazenamento.removerImagem(imagemId).catch(e => console.error('Erro ao remover imagem:', e));
+    }
+}
+
+function iniciarImagensItemEmEdicao(imagemIds) {
+    imagensItemEmEdicao = { ids: [...imagemIds], novas: new Map() };
+    document.getElementById('novoItemImagensArquivo').value = '';
+    renderizarImagensItemEmEdicao();
+}
+
+async function adicionarImagensItem(input) {
+    const msgEl = document.getElementById('novoItemMsg');
+    const arquivos = [...input.files];
+    input.value = '';
+
+    if (imagensItemEmEdicao.ids.length + arquivos.length > IMAGENS_MAX_POR_ITEM) {
+        mostrarMensagem(`Cada item pode ter no máximo ${IMAGENS_MAX_POR_ITEM} imagens`, 'error', msgEl);
+        return;
+    }
+
+    for (let arquivo of arquivos) {
+        try {
+            const imagem = await processarArquivoImagem(arquivo);
+            const imagemId = `img_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`;
+            imagensItemEmEdicao.novas.set(imagemId, imagem);
+            imagensItemEmEdicao.ids.push(imagemId);
+        } catch (e) {
+            mostrarMensagem(`${arquivo.name}: ${e.message}`, 'error', msgEl);
+        }
+    }
+    renderizarImagensItemEmEdicao();
+}
+
+function removerImagemItemEmEdicao(imagemId) {
+    imagensItemEmEdicao.ids = imagensItemEmEdicao.ids.filter(id => id !== imagemId);
+    imagensItemEmEdicao.novas.delete(imagemId);
+    renderizarImagensItemEmEdicao();
+}
+
+function definirCapaItemEmEdicao(imagemId) {
+    imagensItemEmEdicao.ids = [imagemId, ...imagensItemEmEdicao.ids.filter(id => id !== imagemId)];
+    renderizarImagensItemEmEdicao();
+}
+
+function renderizarImagensItemEmEdicao() {
+    const container = document.getElementById('novoItemImagensPrevia');
+    const { ids, novas } = imagensItemEmEdicao;
+
+    container.innerHTML = ids.map((imagemId, i) => {
+        const id = sanitizar(imagemId);
+        // Imagens novas ainda não estão no armazenamento: mostra direto da memória
+        const nova = novas.get(imagemId);
+        return `
+            <div class="item-imagem-previa">
+                <div class="item-imagem miniatura${nova ? '' : ' sem-imagem'}">
+                    <img ${nova ? `src="${nova.miniatura}"` : `data-imagem-id="${id}" data-tamanho="miniatura"`} alt="Imagem ${i + 1}">
+                </div>
+                ${i === 0
+                    ? '<span class="item-imagem-capa">Capa</span>'
+                    : `<button type="button" class="btn btn-secondary btn-small" onclick="definirCapaItemEmEdicao('${id}')">Usar como capa</button>`}
+                <button type="button" class="btn btn-danger btn-small" onclick="removerImagemItemEmEdicao('${id}')">Remover</button>
+            </div>
+        `;
+    }).join('');
+    carregarImagensPendentes(container);
+}
+
+/**
+ * Grava no armazenamento as imagens adicionadas no modal
+ */
+async function gravarImagensItemEmEdicao() {
+    for (let [imagemId, imagem] of imagensItemEmEdicao.novas) {
+        await armazenamento.salvarImagem(imagemId, imagem);
+        cacheImagens.set(imagemId, Promise.resolve(imagem));
+        imagensItemEmEdicao.novas.delete(imagemId);
+    }
+}
+
+// ========================================
+// RENDERIZAÇÃO DE UI - PRODUTOS
+// ========================================
+
+// Busca, filtros e ordenação da vitrine; espelhados na query string da URL
+let filtrosLoja = { busca: '', produtorId: '', categoriaId: '', tag: '', precoMin: '', precoMax: '', ordem: 'relevancia' };
+
+const ORDENACOES_LOJA = {
+    relevancia: null,
+    preco_asc: (a, b) => a.preco - b.preco,
+    preco_desc: (a, b) => b.preco - a.preco,
+    nome: (a, b) => a.nome.localeCompare(b.nome, 'pt-BR'),
+    recentes: (a, b) => (b.criadoEm || '').localeCompare(a.criadoEm || '')
+};
+
+// Nome do parâmetro na URL para cada filtro
+const PARAMETROS_URL_LOJA = {
+    busca: 'q', produtorId: 'produtor', categoriaId: 'categoria', tag: 'tag',
+    precoMin: 'min', precoMax: 'max', ordem: 'ordem'
+};
+
+function lerFiltrosLojaDaUrl() {
+    const parametros = new URLSearchParams(location.search);
+    for (let [filtro, parametro] of Object.entries(PARAMETROS_URL_LOJA)) {
+        if (parametros.has(parametro)) filtrosLoja[filtro] = parametros.get(parametro);
+    }
+    if (!(filtrosLoja.ordem in ORDENACOES_LOJA)) filtrosLoja.ordem = 'relevancia';
+    if (!buscarCategoria(filtrosLoja.categoriaId)) filtrosLoja.categoriaId = '';
+    filtrosLoja.tag = normalizarTags(filtrosLoja.tag)[0] || '';
+
+    document.getElementById('lojaBusca').value = filtrosLoja.busca;
+    document.getElementById('lojaPrecoMin').value = filtrosLoja.precoMin;
+    document.getElementById('lojaPrecoMax').value = filtrosLoja.precoMax;
+    document.getElementById('lojaOrdem').value = filtrosLoja.ordem;
+    // O select de produtor é preenchido em renderizarProdutos
+}
+
+/**
+ * Grava os filtros não vazios na URL sem criar entrada no histórico
+ */
+function atualizarUrlFiltrosLoja() {
+    const parametros = new URLSearchParams();
+    for (let [filtro, parametro] of Object.entries(PARAMETROS_URL_LOJA)) {
+        const valor = filtrosLoja[filtro];
+        if (valor && !(filtro === 'ordem' && valor === 'relevancia')) parametros.set(parametro, valor);
+    }
+    const query = parametros.toString();
+    history.replaceState(null, '', location.pathname + (query ? '?' + query : '') + location.hash);
+}
+
+function aplicarFiltrosLoja() {
+    // Categoria e tag não estão no formulário: vêm da navegação e dos cards
+    filtrosLoja = {
+        ...filtrosLoja,
+        busca: document.getElementById('lojaBusca').value.trim(),
+        produtorId: document.getElementById('lojaProdutor').value,
+        precoMin: document.getElementById('lojaPrecoMin').value,
+        precoMax: document.getElementById('lojaPrecoMax').value,
+        ordem: document.getElementById('lojaOrdem').value
+    };
+    atualizarUrlFiltrosLoja();
+    renderizarProdutos();
+}
+
+function limparFiltrosLoja() {
+    document.getElementById('filtrosLojaForm').reset();
+    filtrosLoja.categoriaId = '';
+    filtrosLoja.tag = '';
+    aplicarFiltrosLoja();
+}
+
+// Chips de categoria e tag também aparecem nas telas de detalhe: o filtro leva à vitrine
+function filtrarPorCategoriaLoja(categoriaId) {
+    filtrosLoja.categoriaId = buscarCategoria(categoriaId) ? categoriaId : '';
+    atualizarUrlFiltrosLoja();
+    renderizarProdutos();
+    if (secaoAtual !== 'loja') navegar('#/loja');
+}
+
+function filtrarPorTagLoja(tag) {
+    filtrosLoja.tag = tag || '';
+    atualizarUrlFiltrosLoja();
+    renderizarProdutos();
+    if (secaoAtual !== 'loja') navegar('#/loja');
+}
+
+function filtrarItensLoja(itens, filtros) {
+    const termos = normalizarBusca(filtros.busca).split(/\s+/).filter(Boolean);
+    const precoMin = parseFloat(filtros.precoMin);
+    const precoMax = parseFloat(filtros.precoMax);
+
+    // Uma categoria inclui os itens de todas as suas subcategorias
+    const categorias = filtros.categoriaId ? idsCategoriaEDescendentes(filtros.categoriaId) : null;
+
+    const filtrados = itens.filter(item => {
+        if (filtros.produtorId && item.produtorId !== filtros.produtorId) return false;
+        if (categorias && !categorias.has(item.categoriaId)) return false;
+        if (filtros.tag && !(item.tags || []).includes(filtros.tag)) return false;
+        if (precoMin >= 0 && item.preco < precoMin) return false;
+        if (precoMax >= 0 && item.preco > precoMax) return false;
+        // Todos os termos precisam aparecer em nome, descrição, produtor, categoria ou tags
+        const alvo = normalizarBusca([
+            item.nome, item.descricao, item.produtorNome,
+            caminhoCategoria(item.categoriaId), ...(item.tags || [])
+        ].join(' '));
+        return termos.every(termo => alvo.includes(termo));
+    });
+
+    const ordenar = ORDENACOES_LOJA[filtros.ordem];
+    return ordenar ? filtrados.sort(ordenar) : filtrados;
+}
+
+/**
+ * Opções do filtro de produtor: só quem tem algo à venda
+ */
+function atualizarOpcoesProdutorLoja(itens) {
+    const select = document.getElementById('lojaProdutor');
+    const produtores = new Map(itens.map(i => [i.produtorId, i.produtorNome]));
+    select.innerHTML = '<option value="">Todos os produtores</option>' +
+        [...produtores].map(([id, nome]) => `<option value="${sanitizar(id)}">${sanitizar(nome)}</option>`).join('');
+    select.value = produtores.has(filtrosLoja.produtorId) ? filtrosLoja.produtorId : '';
+}
+
+/**
+ * Navegação por categorias acima da vitrine: trilha até a categoria atual e,
+ * abaixo dela, as subcategorias que têm itens à venda
+ */
+function renderizarCategoriasLoja(itens) {
+    const nav = document.getElementById('lojaCategorias');
+    const contar = categoriaId => {
+        const ids = idsCategoriaEDescendentes(categoriaId);
+        return itens.filter(i => ids.has(i.categoriaId)).length;
+    };
+    const chip = (categoriaId, rotulo, ativo) => `
+        <button type="button" class="categoria-chip${ativo ? ' ativo' : ''}"
+            onclick="filtrarPorCategoriaLoja('${sanitizar(categoriaId)}')">${rotulo}</button>
+    `;
+
+    const trilha = ancestraisCategoria(filtrosLoja.categoriaId);
+    const opcoes = subcategorias(filtrosLoja.categoriaId || null)
+        .map(c => ({ categoria: c, quantidade: contar(c.id) }))
+        .filter(o => o.quantidade > 0);
+
+    let html = chip('', 'Todas', trilha.length === 0);
+    html += trilha.map((c, i) => chip(c.id, sanitizar(c.nome), i === trilha.length - 1)).join('<span class="categoria-separador">›</span>');
+    if (opcoes.length > 0) {
+        html += '<span class="categoria-subs">' +
+            opcoes.map(o => chip(o.categoria.id, `${sanitizar(o.categoria.nome)} (${o.quantidade})`, false)).join('') +
+            '</span>';
+    }
+    if (filtrosLoja.tag) {
+        html += `
+            <button type="button" class="tag-chip ativo" onclick="filtrarPorTagLoja('')" title="Remover filtro de tag">
+                #${sanitizar(filtrosLoja.tag)} ✕
+            </button>
+        `;
+    }
+    nav.innerHTML = html;
+}
+
+function htmlTagsItem(item) {
+    if (!item.tags || item.tags.length === 0) return '';
+    return `
+        <div class="produto-tags">
+            ${item.tags.map(tag => `
+                <button type="button" class="tag-chip" data-tag="${sanitizar(tag)}"
+                    onclick="filtrarPorTagLoja(this.dataset.tag)">#${sanitizar(tag)}</button>
+            `).join('')}
+        </div>
+    `;
+}
+
+/**
+ * Card de item à venda (item com produtorNome). O prefixo separa os campos de
+ * quantidade quando o mesmo item aparece em mais de uma tela
+ */
+function htmlCardProduto(item, prefixoQtd = 'qtd') {
+    const id = sanitizar(item.id);
+    const campoQtd = `${prefixoQtd}_${id}`;
+    const acaoHtml = itemEstaEsgotado(item)
+        ? `<button class="btn btn-secondary" disabled>Esgotado</button>`
+        : `<div class="produto-acoes">
+                <input type="number" id="${campoQtd}" class="produto-qtd" value="1" min="1" max="${item.estoque}">
+                <button class="btn btn-primary" 
+                    onclick="adicionarAoCarrinho('${id}', document.getElementById('${campoQtd}').value)">
+                    Adicionar ao Carrinho
+                </button>
+            </div>`;
+    return `
+        <div class="produto-card${itemEstaEsgotado(item) ? ' esgotado' : ''}">
+            ${itemEstaEsgotado(item) ? '<span class="produto-badge-esgotado">Esgotado</span>' : ''}
+            <a href="#/produto/${encodeURIComponent(item.id)}" class="produto-link">
+                ${htmlImagemItem(item, 'produto-imagem')}
+            </a>
+            ${buscarCategoria(item.categoriaId) ? `
+            <button type="button" class="produto-categoria" onclick="filtrarPorCategoriaLoja('${sanitizar(item.categoriaId)}')">
+                ${sanitizar(caminhoCategoria(item.categoriaId))}
+            </button>` : ''}
+            <h3><a href="#/produto/${encodeURIComponent(item.id)}" class="produto-link">${sanitizar(item.nome)}</a></h3>
+            <p>${sanitizar(item.descricao)}</p>
+            <div class="produto-produtor">
+                Por: <a href="#/produtor/${encodeURIComponent(item.produtorId)}" class="produto-link">${sanitizar(item.produtorNome)}</a>
+            </div>
+            ${htmlTagsItem(item)}
+            <div class="produto-preco">R$ ${item.preco.toFixed(2)}</div>
+            ${acaoHtml}
+        </div>
+    `;
+}
+
+function renderizarProdutos() {
+    // As telas de detalhe mostram os mesmos itens e mudam junto com a vitrine
+    renderizarDetalheProduto();
+    renderizarPerfilProdutor();
+
+    const container = document.getElementById('produtosList');
+    const resumoEl = document.getElementById('lojaResumo');
+
+    // Coletar todos os itens disponíveis de todos os produtores
+    let todosItens = [];
+    for (let produtor of appState.produtores) {
+        for (let item of produtor.listaDeItens) {
+            if (itemAVenda({ item, produtor })) {
+                todosItens.push({
+                    ...item,
+                    produtorNome: produtor.nome
+                });
+            }
+        }
+    }
+
+    atualizarOpcoesProdutorLoja(todosItens);
+    renderizarCategoriasLoja(todosItens);
+
+    if (todosItens.length === 0) {
+        resumoEl.textContent = '';
+        container.innerHTML = '<p>Nenhum produto disponível no momento.</p>';
+        return;
+    }
+
+    const itensFiltrados = filtrarItensLoja(todosItens, filtrosLoja);
+    resumoEl.textContent = itensFiltrados.length === todosItens.length
+        ? `${todosItens.length} produto(s)`
+        : `${itensFiltrados.length} de ${todosItens.length} produto(s)`;
+
+    if (itensFiltrados.length === 0) {
+        container.innerHTML = `
+            <p>Nenhum produto encontrado com esses filtros.</p>
+            <button class="btn btn-secondary" onclick="limparFiltrosLoja()">Limpar filtros</button>
+        `;
+        return;
+    }
+
+    container.innerHTML = itensFiltrados.map(item => htmlCardProduto(item)).join('');
+    carregarImagensPendentes(container);
+}
+
+// ========================================
+// RENDERIZAÇÃO - DETALHE DO PRODUTO E PÁGINA DO PRODUTOR
+// ========================================
+
+// Ids abertos pelas rotas #/produto/:id e #/produtor/:id (null = tela fechada)
+let produtoEmDetalheId = null;
+let imagemEmDetalheId = null;
+let perfilProdutorId = null;
+
+function abrirDetalheProduto(itemId) {
+    produtoEmDetalheId = itemId;
+    imagemEmDetalheId = null;
+    renderizarDetalheProduto();
+    mostrarSecao('produto', `#/produto/${encodeURIComponent(itemId)}`);
+}
+
+function trocarImagemDetalheProduto(imagemId) {
+    imagemEmDetalheId = imagemId;
+    renderizarDetalheProduto();
+}
+
+function renderizarDetalheProduto() {
+    if (!produtoEmDetalheId) return;
+    const container = document.getElementById('produtoDetalhe');
+
+    // Itens fora de venda não têm página pública, mesmo com o link guardado
+    const encontrado = buscarItem(produtoEmDetalheId);
+    if (!itemAVenda(encontrado)) {
+        container.innerHTML = `
+            <p>Este produto não está disponível.</p>
+            <a href="#/loja" class="btn btn-secondary">Voltar à loja</a>
+        `;
+        return;
+    }
+
+    const { item, produtor } = encontrado;
+    const id = sanitizar(item.id);
+    const imagens = item.imagens || [];
+    const imagemAtual = imagens.includes(imagemEmDetalheId) ? imagemEmDetalheId : imagens[0];
+    const acaoHtml = itemEstaEsgotado(item)
+        ? `<button class="btn btn-secondary" disabled>Esgotado</button>`
+        : `<div class="produto-acoes">
+                <input type="number" id="qtdDetalhe_${id}" class="produto-qtd" value="1" min="1" max="${item.estoque}">
+                <button class="btn btn-primary"
+                    onclick="adicionarAoCarrinho('${id}', document.getElementById('qtdDetalhe_${id}').value)">
+                    Adicionar ao Carrinho
+                </button>
+            </div>`;
+
+    container.innerHTML = `
+        <a href="#/loja" class="produto-voltar">← Voltar à loja</a>
+        <div class="produto-detalhe">
+            <div class="produto-detalhe-galeria">
+                ${htmlImagemItem({ nome: item.nome, imagens: imagemAtual ? [imagemAtual] : [] }, 'produto-detalhe-imagem', 'detalhe')}
+                ${imagens.length > 1 ? `
+                <div class="produto-detalhe-miniaturas">
+                    ${imagens.map(imagemId => `
+                        <button type="button" class="produto-detalhe-miniatura${imagemId === imagemAtual ? ' ativo' : ''}"
+                            onclick="trocarImagemDetalheProduto('${sanitizar(imagemId)}')">
+                            ${htmlImagemItem({ nome: item.nome, imagens: [imagemId] }, 'miniatura')}
+                        </button>
+                    `).join('')}
+                </div>` : ''}
+            </div>
+            <div class="produto-detalhe-info">
+                ${buscarCategoria(item.categoriaId) ? `
+                <button type="button" class="produto-categoria" onclick="filtrarPorCategoriaLoja('${sanitizar(item.categoriaId)}')">
+                    ${sanitizar(caminhoCategoria(item.categoriaId))}
+                </button>` : ''}
+                <h2>${sanitizar(item.nome)}</h2>
+                <div class="produto-preco">R$ ${item.preco.toFixed(2)}</div>
+                <p class="produto-detalhe-estoque">
+                    ${itemEstaEsgotado(item) ? 'Esgotado' : `${item.estoque} unidade(s) em estoque`}
+                </p>
+                ${acaoHtml}
+                <h3>Descrição</h3>
+                <p class="produto-detalhe-descricao">${sanitizar(item.descricao)}</p>
+                ${htmlTagsItem(item)}
+                <div class="produto-detalhe-produtor">
+                    <h3>Produtor</h3>
+                    <a href="#/produtor/${encodeURIComponent(produtor.id)}" class="produto-link">${sanitizar(produtor.nome)}</a>
+                    ${produtor.perfil?.localizacao ? `<div class="perfil-localizacao">📍 ${sanitizar(produtor.perfil.localizacao)}</div>` : ''}
+                    ${htmlCertificacoesProdutor(produtor)}
+                </div>
+            </div>
+        </div>
+    `;
+    carregarImagensPendentes(container);
+}
+
+function htmlCertificacoesProdutor(produtor) {
+    const certificacoes = (produtor.perfil?.certificacoes || []).filter(c => CERTIFICACOES_PRODUTOR[c]);
+    if (certificacoes.length === 0) return '';
+    return `
+        <div class="perfil-certificacoes">
+            ${certificacoes.map(c => `<span class="perfil-certificacao">✓ ${CERTIFICACOES_PRODUTOR[c]}</span>`).join('')}
+        </div>
+    `;
+}
+
+function abrirPerfilProdutor(produtorId) {
+    perfilProdutorId = produtorId;
+    renderizarPerfilProdutor();
+    mostrarSecao('perfilProdutor', `#/produtor/${encodeURIComponent(produtorId)}`);
+}
+
+function renderizarPerfilProdutor() {
+    if (!perfilProdutorId) return;
+    const container = document.getElementById('perfilProdutorDetalhe');
+
+    const produtor = appState.produtores.find(p => p.id === perfilProdutorId);
+    if (!produtor || !produtorAprovado(produtor) || produtor.arquivado) {
+        container.innerHTML = `
+            <p>Produtor não encontrado.</p>
+            <a href="#/loja" class="btn btn-secondary">Voltar à loja</a>
+        `;
+        return;
+    }
+
+    const itens = produtor.listaDeItens
+        .filter(item => itemAVenda({ item, produtor }))
+        .map(item => ({ ...item, produtorNome: produtor.nome }));
+
+    const perfil = produtor.perfil || criarPerfilProdutorVazio();
+    container.innerHTML = `
+        <a href="#/loja" class="produto-voltar">← Voltar à loja</a>
+        <div class="perfil-produtor">
+            ${htmlImagemItem({ nome: produtor.nome, imagens: perfil.fotoId ? [perfil.fotoId] : [] }, 'perfil-produtor-foto', 'detalhe')}
+            <div class="perfil-produtor-info">
+                <h2>${sanitizar(produtor.nome)}</h2>
+                ${perfil.localizacao ? `<div class="perfil-localizacao">📍 ${sanitizar(perfil.localizacao)}</div>` : ''}
+                ${htmlCertificacoesProdutor(produtor)}
+                ${perfil.descricao ? `<p class="perfil-produtor-descricao">${sanitizar(perfil.descricao)}</p>` : ''}
+            </div>
+        </div>
+        <h3>Produtos</h3>
+        <p class="loja-resumo">${itens.length} produto(s) à venda</p>
+        <div class="produtos-grid">
+            ${itens.length === 0
+                ? '<p>Nenhum produto à venda no momento.</p>'
+                : itens.map(item => htmlCardProduto(item, 'qtdPerfil')).join('')}
+        </div>
+    `;
+    carregarImagensPendentes(container);
+}
+
+// ========================================
+// RENDERIZAÇÃO DE UI - PRODUTORES (ADMIN)
+// ========================================
+
+const STATUS_PRODUTOR = {
+    pendente: 'Aguardando aprovação',
+    aprovado: 'Aprovado',
+    rejeitado: 'Rejeitado'
+};
+
+/**
+ * Linha de item usada na lista de produtores do admin e no portal do produtor
+ */
+function htmlItemProdutor(produtor, item, podeGerenciar) {
+    let statusDisp = '✓ Disponível';
+    let statusClasse = '';
+    if (!item.disponivel) {
+        statusDisp = '✗ Indisponível';
+        statusClasse = ' esgotado';
+    } else if (itemEstaEsgotado(item)) {
+        statusDisp = '✗ Esgotado';
+        statusClasse = ' esgotado';
+    } else if (item.estoque <= ESTOQUE_BAIXO_LIMITE) {
+        statusDisp = '⚠ Estoque baixo';
+        statusClasse = ' baixo';
+    }
+
+    const produtorId = sanitizar(produtor.id);
+    const itemId = sanitizar(item.id);
+    return `
+        <div class="produtor-item">
+            <div class="produtor-item-info">
+                <strong>${sanitizar(item.nome)}</strong>
+                ${item.sku ? `<span class="produtor-item-sku">SKU ${sanitizar(item.sku)}</span>` : ''}<br>
+                ${sanitizar(item.descricao)}<br>
+                ${buscarCategoria(item.categoriaId) ? `<span class="produtor-item-categoria">${sanitizar(caminhoCategoria(item.categoriaId))}</span>` : ''}
+                ${(item.tags || []).map(tag => `<span class="produtor-item-tag">#${sanitizar(tag)}</span>`).join('')}
+                <span class="produtor-item-preco">R$ ${item.preco.toFixed(2)}</span>
+                <span class="produtor-item-estoque">Estoque: ${item.estoque} un.</span>
+                <span class="produtor-item-status${statusClasse}">${statusDisp}</span>
+            </div>
+            ${podeGerenciar ? `
+            <div class="produtor-item-acoes">
+                <button class="btn btn-secondary btn-small"
+                    onclick="abrirModalEditarItem('${produtorId}', '${itemId}')">
+                    Editar
+                </button>
+                <button class="btn btn-secondary btn-small"
+                    onclick="alternarDisponibilidadeItem('${produtorId}', '${itemId}')">
+                    ${item.disponivel ? 'Retirar de venda' : 'Colocar à venda'}
+                </button>
+                <button class="btn btn-danger btn-small"
+                    onclick="arquivarItem('${produtorId}', '${itemId}')">
+                    Arquivar
+                </button>
+            </div>` : ''}
+        </div>
+    `;
+}
+
+/**
+ * Linha de item arquivado (aba Arquivados e portal do produtor)
+ */
+function htmlItemArquivado(produtor, item, podeExcluir) {
+    const produtorId = sanitizar(produtor.id);
+    const itemId = sanitizar(item.id);
+    return `
+        <div class="produtor-item arquivado">
+            <div class="produtor-item-info">
+                <strong>${sanitizar(item.nome)}</strong>
+                <span class="produtor-item-estoque">${sanitizar(produtor.nome)}</span><br>
+                <span class="produtor-item-status esgotado">
+                    Arquivado em ${new Date(item.arquivadoEm).toLocaleDateString('pt-BR')}
+                </span>
+            </div>
+            <div class="produtor-item-acoes">
+                <button class="btn btn-secondary btn-small"
+                    onclick="restaurarItem('${produtorId}', '${itemId}')">
+                    Restaurar
+                </button>
+                ${podeExcluir ? `
+                <button class="btn btn-danger btn-small"
+                    onclick="excluirItemDefinitivamente('${produtorId}', '${itemId}')">
+                    Excluir definitivamente
+                </button>` : ''}
+            </div>
+        </div>
+    `;
+}
+
+function renderizarProdutores() {
+    const podeProdutores = usuarioTemPermissao(PERMISSOES.GERENCIAR_PRODUTORES);
+    const podeItens = usuarioTemPermissao(PERMISSOES.GERENCIAR_ITENS);
+    if (!podeProdutores && !podeItens) return;
+
+    const container = document.getElementById('produtoresList');
+    const ativos = appState.produtores.filter(p => !p.arquivado);
+
+    if (ativos.length === 0) {
+        container.innerHTML = '<p>Nenhum produtor cadastrado.</p>';
+        return;
+    }
+
+    let html = '';
+    ativos.forEach(produtor => {
+        const itens = produtor.listaDeItens.filter(i => !i.arquivado);
+        html += `
+            <div class="produtor-card">
+                <h3>${sanitizar(produtor.nome)}</h3>
+                <div class="produtor-email">${sanitizar(produtor.email)}</div>
+                <span class="produtor-status ${sanitizar(produtor.status)}">${STATUS_PRODUTOR[produtor.status] || sanitizar(produtor.status)}</span>
+                ${podeProdutores && produtor.status !== 'aprovado' ? `
+                <button class="btn btn-success btn-small" onclick="aprovarProdutor('${sanitizar(produtor.id)}', true)">
+                    Aprovar
+                </button>` : ''}
+                ${podeProdutores && produtor.status === 'pendente' ? `
+                <button class="btn btn-danger btn-small" onclick="aprovarProdutor('${sanitizar(produtor.id)}', false)">
+                    Rejeitar
+                </button>` : ''}
+
+                <div class="produtor-itens">
+                    <strong>Itens no estoque (${itens.length}):</strong>
+        `;
+
+        if (itens.length === 0) {
+            html += '<p>Nenhum item cadastrado</p>';
+        } else {
+            itens.forEach(item => {
+                html += htmlItemProdutor(produtor, item, podeItens);
+            });
+        }
+
+        html += `
+                </div>
+                ${podeItens ? `
+                <button class="btn btn-primary" onclick="abrirModalNovoItem('${sanitizar(produtor.id)}')">
+                    + Adicionar Item
+                </button>` : ''}
+                ${podeProdutores ? `
+                <button class="btn btn-secondary" onclick="abrirModalEditarProdutor('${sanitizar(produtor.id)}')">
+                    Editar Produtor
+                </button>
+                <button class="btn btn-danger" onclick="arquivarProdutor('${sanitizar(produtor.id)}')">
+                    Arquivar Produtor
+                </button>` : ''}
+            </div>
+        `;
+    });
+
+    container.innerHTML = html;
+}
+
+function renderizarArquivados() {
+    const podeProdutores = usuarioTemPermissao(PERMISSOES.GERENCIAR_PRODUTORES);
+    const podeItens = usuarioTemPermissao(PERMISSOES.GERENCIAR_ITENS);
+    if (!podeProdutores && !podeItens) return;
+
+    const produtoresEl = document.getElementById('produtoresArquivadosList');
+    const arquivados = appState.produtores.filter(p => p.arquivado);
+    produtoresEl.innerHTML = arquivados.length === 0
+        ? '<p>Nenhum produtor arquivado.</p>'
+        : arquivados.map(produtor => `
+            <div class="sessao-card">
+                <div class="sessao-info">
+                    <strong>${sanitizar(produtor.nome)}</strong>
+                    <span>${sanitizar(produtor.email)}</span>
+                    <span>Arquivado em ${new Date(produtor.arquivadoEm).toLocaleDateString('pt-BR')}
+                        · ${produtor.listaDeItens.length} item(ns)</span>
+                </div>
+                ${podeProdutores ? `
+                <div class="equipe-acoes">
+                    <button class="btn btn-secondary btn-small" onclick="restaurarProdutor('${sanitizar(produtor.id)}')">
+                        Restaurar
+                    </button>
+                    <button class="btn btn-danger btn-small" onclick="excluirProdutorDefinitivamente('${sanitizar(produtor.id)}')">
+                        Excluir definitivamente
+                    </button>
+                </div>` : ''}
+            </div>
+        `).join('');
+
+    // Itens de produtores arquivados voltam junto com o produtor
+    const itensEl = document.getElementById('itensArquivadosList');
+    let html = '';
+    appState.produtores.filter(p => !p.arquivado).forEach(produtor => {
+        produtor.listaDeItens.filter(i => i.arquivado).forEach(item => {
+            html += htmlItemArquivado(produtor, item, podeItens);
+        });
+    });
+    itensEl.innerHTML = html || '<p>Nenhum item arquivado.</p>';
+}
+
+// ========================================
+// RENDERIZAÇÃO - PORTAL DO PRODUTOR
+// ========================================
+
+function renderizarPortalProdutor() {
+    if (!usuarioEhProdutor()) return;
+
+    const produtor = appState.produtores.find(p => p.id === appState.usuarioLogado.id);
+    const statusEl = document.getElementById('produtorStatusBanner');
+    if (produtor.status === 'aprovado') {
+        statusEl.style.display = 'none';
+    } else {
+        statusEl.textContent = produtor.status === 'pendente'
+            ? 'Seu cadastro está aguardando aprovação. Você já pode cadastrar itens; eles aparecerão na loja quando a loja aprovar sua conta.'
+            : 'Seu cadastro não foi aprovado.';
+        statusEl.style.display = 'block';
+    }
+
+    const itens = produtor.listaDeItens.filter(i => !i.arquivado);
+    const arquivados = produtor.listaDeItens.filter(i => i.arquivado);
+    const itensEl = document.getElementById('meusItensList');
+    itensEl.innerHTML = (itens.length === 0
+        ? '<p>Nenhum item cadastrado</p>'
+        : itens.map(item => htmlItemProdutor(produtor, item, true)).join('')) +
+        (arquivados.length === 0 ? '' : `
+            <h4>Arquivados</h4>
+            ${arquivados.map(item => htmlItemArquivado(produtor, item, false)).join('')}
+        `);
+
+    // Só as linhas do próprio produtor, sem dados de pagamento do cliente
+    const pedidosEl = document.getElementById('pedidosProdutorList');
+    const pedidos = appState.pedidos
+        .map(pedido => ({
+            pedido,
+            linhas: pedido.itens.filter(linha => linha.produtorId === produtor.id)
+        }))
+        .filter(p => p.linhas.length > 0);
+
+    if (pedidos.length === 0) {
+        pedidosEl.innerHTML = '<p>Nenhum pedido com seus itens ainda.</p>';
+        return;
+    }
+
+    pedidosEl.innerHTML = pedidos.map(({ pedido, linhas }) => {
+        const total = linhas.reduce((soma, linha) => soma + linha.subtotal, 0);
+        return `
+            <div class="pedido-card">
+                <div class="pedido-header">
+                    <div>
+                        <div class="pedido-id">Pedido: ${sanitizar(pedido.id)}</div>
+                        <div style="color: #d1d5db; font-size: 0.9rem;">
+                            ${new Date(pedido.data).toLocaleDateString('pt-BR')}
+                        </div>
+                    </div>
+                    ${htmlStatusPedido(pedido)}
+                </div>
+                <div class="pedido-itens">
+                    ${linhas.map(linha => `
+                        <div class="pedido-item">
+                            ${linha.quantidade}x ${sanitizar(linha.nome)} - R$ ${linha.precoUnitario.toFixed(2)}
+                            <span class="pedido-item-subtotal">R$ ${linha.subtotal.toFixed(2)}</span>
+                        </div>
+                    `).join('')}
+                </div>
+                <div class="pedido-total">Total dos seus itens: R$ ${total.toFixed(2)}</div>
+            </div>
+        `;
+    }).join('');
+}
+
+// ========================================
+// RENDERIZAÇÃO - PEDIDOS
+// ========================================
+
+function htmlStatusPedido(pedido) {
+    const nome = STATUS_PEDIDO[pedido.status]?.nome || pedido.status;
+    return `<div class="pedido-status ${sanitizar(pedido.status)}">${sanitizar(nome)}</div>`;
+}
+
+/**
+ * Histórico de status do pedido; o autor de cada mudança só aparece para a equipe
+ */
+function htmlLinhaDoTempoPedido(pedido, mostrarAutor = false) {
+    const historico = pedido.historicoStatus || [];
+    if (historico.length === 0) return '';
+
+    return `
+        <ol class="pedido-timeline">
+            ${historico.map(h => `
+                <li>
+                    <strong>${sanitizar(STATUS_PEDIDO[h.status]?.nome || h.status)}</strong>
+                    <span>${new Date(h.data).toLocaleString('pt-BR')}</span>
+                    ${mostrarAutor ? `<span class="pedido-timeline-autor">${sanitizar(h.autor)}</span>` : ''}
+                </li>
+            `).join('')}
+        </ol>
+    `;
+}
+
+/**
+ * Situação da solicitação de cancelamento e do estorno, com as ações cabíveis
+ */
+function htmlCancelamentoPedido(pedido, ehEquipe, podeGerenciar) {
+    const pedidoId = sanitizar(pedido.id);
+    const cancelamento = pedido.cancelamento;
+    let html = '';
+
+    // Solicitações já respondidas primeiro, na ordem em que foram feitas
+    const rotulos = { solicitado: 'Cancelamento solicitado', aprovado: 'Cancelamento aprovado', recusado: 'Cancelamento recusado' };
+    for (let solicitacao of [...(pedido.cancelamentosAnteriores || []), ...(cancelamento ? [cancelamento] : [])]) {
+        html += `
+            <div class="pedido-cancelamento ${sanitizar(solicitacao.status)}">
+                <strong>${rotulos[solicitacao.status]}</strong>
+                em ${new Date(solicitacao.solicitadoEm).toLocaleString('pt-BR')}
+                ${solicitacao.motivo ? `<br>Motivo: ${sanitizar(solicitacao.motivo)}` : ''}
+            </div>
+        `;
+    }
+    if (pedido.reembolso) {
+        html += `
+            <div class="pedido-cancelamento aprovado">
+                Estorno de R$ ${pedido.reembolso.valor.toFixed(2)} em
+                ${new Date(pedido.reembolso.data).toLocaleString('pt-BR')}
+                ${ehEquipe ? `(${sanitizar(pedido.reembolso.reembolsoId)})` : ''}
+            </div>
+        `;
+    }
+
+    if (podeGerenciar && cancelamento?.status === 'solicitado') {
+        html += `
+            <div class="pedido-acoes">
+                <button class="btn btn-danger btn-small" onclick="responderCancelamentoPedido('${pedidoId}', true)">
+                    Aprovar cancelamento
+                </button>
+                <button class="btn btn-secondary btn-small" onclick="responderCancelamentoPedido('${pedidoId}', false)">
+                    Recusar cancelamento
+                </button>
+            </div>
+        `;
+    } else if (!ehEquipe && cancelamento?.status !== 'solicitado' && podeTransicionarPedido(pedido, 'cancelado')) {
+        html += `
+            <div class="pedido-acoes">
+                <button class="btn btn-secondary btn-small" onclick="solicitarCancelamentoPedido('${pedidoId}')">
+                    Solicitar cancelamento
+                </button>
+            </div>
+        `;
+    }
+
+    return html;
+}
+
+/**
+ * Um botão por transição permitida a partir do status atual
+ */
+function htmlAcoesStatusPedido(pedido) {
+    const proximos = (STATUS_PEDIDO[pedido.status]?.proximos || [])
+        .filter(status => podeTransicionarPedido(pedido, status));
+    if (proximos.length === 0) return '';
+
+    return `
+        <div class="pedido-acoes">
+            ${proximos.map(status => `
+                <button class="btn ${status === 'cancelado' ? 'btn-danger' : 'btn-secondary'} btn-small"
+                    onclick="alterarStatusPedido('${sanitizar(pedido.id)}', '${status}')">
+                    ${STATUS_PEDIDO[status].nome}
+                </button>
+            `).join('')}
+        </div>
+    `;
+}
+
+function renderizarPedidos() {
+    renderizarDetalhePedido();
+    if (usuarioTemPermissao(PERMISSOES.VER_PEDIDOS)) {
+        renderizarPedidosAdmin();
+        return;
+    }
+    if (!usuarioEstaLogado() || appState.usuarioLogado.role !== 'user') return;
+
+    // Usuário vê apenas seus pedidos
+    const container = document.getElementById('meusPedidosList');
+    const meusIds = appState.usuarioLogado.pedidos || [];
+    const meusPedidos = appState.pedidos.filter(p => meusIds.includes(p.id));
+
+    container.innerHTML = meusPedidos.length === 0
+        ? '<p>Nenhum pedido encontrado.</p>'
+        : meusPedidos.map(pedido => htmlPedido(pedido, false, false)).join('');
+}
+
+/**
+ * Subtotal, cupom e frete; pedidos sem nenhum dos dois (e os antigos) não mostram nada
+ */
+function htmlValoresPedido(pedido) {
+    if (!pedido.cupom && !pedido.frete) return '';
+
+    let html = `<div>Subtotal: R$ ${(pedido.subtotal ?? pedido.total).toFixed(2)}</div>`;
+    if (pedido.cupom) {
+        const beneficio = pedido.cupom.freteGratis ? 'frete grátis' : `− R$ ${(pedido.desconto || 0).toFixed(2)}`;
+        html += `<div>Cupom ${sanitizar(pedido.cupom.codigo)}: ${beneficio}</div>`;
+    }
+    if (pedido.frete) {
+        const valor = pedido.frete.valor > 0 ? `R$ ${pedido.frete.valor.toFixed(2)}` : 'grátis';
+        const prazo = pedido.frete.prazoDias ? ` (até ${pedido.frete.prazoDias} dia(s) útil(eis))` : '';
+        html += `<div>Frete - ${sanitizar(pedido.frete.descricao)}: ${valor}${prazo}</div>`;
+    }
+    return `<div class="pedido-valores">${html}</div>`;
+}
+
+function htmlPedido(pedido, ehEquipe, podeGerenciar) {
+    let itensHtml = '';
+    pedido.itens.forEach(item => {
+        // Pedidos antigos guardavam apenas o preço do item
+        const quantidade = item.quantidade || 1;
+        const precoUnitario = item.precoUnitario ?? item.preco;
+        itensHtml += `
+            <div class="pedido-item">
+                ${quantidade}x ${sanitizar(item.nome)} - R$ ${precoUnitario.toFixed(2)}
+                <span class="pedido-item-subtotal">R$ ${(precoUnitario * quantidade).toFixed(2)}</span>
+            </div>
+        `;
+    });
+
+    return `
+        <div class="pedido-card">
+            <div class="pedido-header">
+                <div>
+                    <div class="pedido-id">
+                        Pedido: <a href="#/pedidos/${encodeURIComponent(pedido.id)}" class="produto-link">${sanitizar(pedido.id)}</a>
+                    </div>
+                    <div style="color: #d1d5db; font-size: 0.9rem;">
+                        ${new Date(pedido.data).toLocaleDateString('pt-BR')}
+                    </div>
+                </div>
+                ${htmlStatusPedido(pedido)}
+            </div>
+            <div class="pedido-itens">
+                ${itensHtml}
+            </div>
+            ${htmlValoresPedido(pedido)}
+            <div class="pedido-total">Total: R$ ${pedido.total.toFixed(2)}</div>
+            <div style="color: #9ca3af; font-size: 0.85rem; margin-top: 0.5rem;">
+                ${sanitizar(pedido.usuarioNome)}${ehEquipe && pedido.usuarioEmail ? ` &lt;${sanitizar(pedido.usuarioEmail)}&gt;` : ''}
+                | ${sanitizar(pedido.endereco)}, ${sanitizar(pedido.cidade)}
+            </div>
+            ${htmlLinhaDoTempoPedido(pedido, ehEquipe)}
+            ${htmlCancelamentoPedido(pedido, ehEquipe, podeGerenciar)}
+            ${podeGerenciar ? htmlAcoesStatusPedido(pedido) : ''}
+        </div>
+    `;
+}
+
+// Pedido aberto pela rota #/pedidos/:id (null = tela fechada)
+let pedidoEmDetalheId = null;
+
+/**
+ * Clientes abrem só os próprios pedidos; a equipe com permissão abre qualquer um
+ */
+function podeVerPedido(pedido) {
+    if (usuarioTemPermissao(PERMISSOES.VER_PEDIDOS)) return true;
+    return usuarioEstaLogado() && (appState.usuarioLogado.pedidos || []).includes(pedido.id);
+}
+
+function abrirDetalhePedido(pedidoId) {
+    pedidoEmDetalheId = pedidoId;
+    renderizarDetalhePedido();
+    mostrarSecao('pedido', `#/pedidos/${encodeURIComponent(pedidoId)}`);
+}
+
+/**
+ * Também chamada ao entrar e sair da conta: o mesmo link passa a mostrar (ou esconder) o pedido
+ */
+function renderizarDetalhePedido() {
+    if (!pedidoEmDetalheId) return;
+    const container = document.getElementById('pedidoDetalhe');
+
+    if (!usuarioEstaLogado()) {
+        container.innerHTML = `
+            <p>Entre na sua conta para ver este pedido.</p>
+            <button class="btn btn-primary" onclick="abrirLoginModal('login')">Entrar</button>
+        `;
+        return;
+    }
+
+    // Pedido de outra pessoa e pedido inexistente têm a mesma resposta
+    const pedido = appState.pedidos.find(p => p.id === pedidoEmDetalheId);
+    const ehEquipe = usuarioTemPermissao(PERMISSOES.VER_PEDIDOS);
+    const voltarHtml = ehEquipe
+        ? '<a href="#/admin/pedidos" class="produto-voltar">← Todos os pedidos</a>'
+        : '<a href="#/conta" class="produto-voltar">← Meus pedidos</a>';
+    if (!pedido || !podeVerPedido(pedido)) {
+        container.innerHTML = `${voltarHtml}<p>Pedido não encontrado.</p>`;
+        return;
+    }
+
+    container.innerHTML = voltarHtml +
+        htmlPedido(pedido, ehEquipe, ehEquipe && usuarioTemPermissao(PERMISSOES.GERENCIAR_PEDIDOS));
+}
+
+// ========================================
+// PAINEL ADMIN - BUSCA DE PEDIDOS
+// ========================================
+
+// Filtros e ordenação da aba de pedidos (não persistem entre recargas)
+let filtrosPedidos = {};
+let ordenacaoPedidos = { campo: 'data', crescente: false };
+let paginaPedidos = 1;
+
+const CAMPOS_ORDENACAO_PEDIDOS = {
+    data: { nome: 'Data', valor: p => p.data },
+    total: { nome: 'Total', valor: p => p.total },
+    cliente: { nome: 'Cliente', valor: p => (p.usuarioNome || '').toLowerCase() },
+    // Status seguem a ordem do ciclo de vida, não a alfabética
+    status: { nome: 'Status', valor: p => Object.keys(STATUS_PEDIDO).indexOf(p.status) }
+};
+
+/**
+ * Lê o formulário de filtros e volta para a primeira página
+ */
+function aplicarFiltrosPedidos() {
+    const valor = id => document.getElementById(id).value.trim();
+    filtrosPedidos = {
+        status: valor('filtroPedidoStatus'),
+        de: valor('filtroPedidoDe'),
+        ate: valor('filtroPedidoAte'),
+        email: valor('filtroPedidoEmail').toLowerCase(),
+        produtorId: valor('filtroPedidoProdutor'),
+        totalMinimo: parseFloat(valor('filtroPedidoTotalMin')),
+        busca: valor('filtroPedidoBusca').toLowerCase()
+    };
+    paginaPedidos = 1;
+    renderizarPedidosAdmin();
+}
+
+function limparFiltrosPedidos() {
+    document.getElementById('filtrosPedidosForm').reset();
+    aplicarFiltrosPedidos();
+}
+
+function filtrarPedidos(pedidos, filtros) {
+    // Datas do formulário são dias inteiros no fuso do navegador
+    const de = filtros.de ? new Date(filtros.de + 'T00:00:00') : null;
+    const ate = filtros.ate ? new Date(filtros.ate + 'T23:59:59.999') : null;
+
+    return pedidos.filter(pedido => {
+        const data = new Date(pedido.data);
+        if (filtros.status && pedido.status !== filtros.status) return false;
+        if (de && data < de) return false;
+        if (ate && data > ate) return false;
+        if (filtros.email && !(pedido.usuarioEmail || '').toLowerCase().includes(filtros.email)) return false;
+        if (filtros.produtorId && !pedido.itens.some(linha => linha.produtorId === filtros.produtorId)) return false;
+        if (filtros.totalMinimo > 0 && pedido.total < filtros.totalMinimo) return false;
+        if (filtros.busca) {
+            const alvo = `${pedido.id} ${pedido.usuarioNome || ''}`.toLowerCase();
+            if (!alvo.includes(filtros.busca)) return false;
+        }
+        return true;
+    });
+}
+
+function ordenarPedidos(pedidos, ordenacao) {
+    const valor = CAMPOS_ORDENACAO_PEDIDOS[ordenacao.campo].valor;
+    const sentido = ordenacao.crescente ? 1 : -1;
+    return pedidos.slice().sort((a, b) => {
+        const va = valor(a);
+        const vb = valor(b);
+        return (va < vb ? -1 : va > vb ? 1 : 0) * sentido;
+    });
+}
+
+/**
+ * Clicar de novo no mesmo campo inverte o sentido
+ */
+function alterarOrdenacaoPedidos(campo) {
+    if (!CAMPOS_ORDENACAO_PEDIDOS[campo]) return;
+    ordenacaoPedidos = ordenacaoPedidos.campo === campo
+        ? { campo, crescente: !ordenacaoPedidos.crescente }
+        : { campo, crescente: campo === 'cliente' };
+    paginaPedidos = 1;
+    renderizarPedidosAdmin();
+}
+
+function irParaPaginaPedidos(pagina) {
+    paginaPedidos = pagina;
+    renderizarPedidosAdmin();
+}
+
+function renderizarPedidosAdmin() {
+    const container = document.getElementById('pedidosAdminList');
+    atualizarOpcoesFiltroProdutor();
+
+    const encontrados = ordenarPedidos(filtrarPedidos(appState.pedidos, filtrosPedidos), ordenacaoPedidos);
+    const totalPaginas = Math.max(1, Math.ceil(encontrados.length / PEDIDOS_POR_PAGINA));
+    paginaPedidos = Math.min(Math.max(1, paginaPedidos), totalPaginas);
+    const inicio = (paginaPedidos - 1) * PEDIDOS_POR_PAGINA;
+    const pagina = encontrados.slice(inicio, inicio + PEDIDOS_POR_PAGINA);
+
+    document.getElementById('ordenacaoPedidos').innerHTML = Object.entries(CAMPOS_ORDENACAO_PEDIDOS)
+        .map(([campo, { nome }]) => {
+            const ativo = ordenacaoPedidos.campo === campo;
+            const seta = ativo ? (ordenacaoPedidos.crescente ? ' ▲' : ' ▼') : '';
+            return `
+                <button class="btn btn-small ${ativo ? 'btn-primary' : 'btn-secondary'}"
+                    onclick="alterarOrdenacaoPedidos('${campo}')">${nome}${seta}</button>
+            `;
+        }).join('');
+
+    document.getElementById('resumoPedidos').textContent =
+        `${encontrados.length} de ${appState.pedidos.length} pedido(s)`;
+
+    const podeGerenciar = usuarioTemPermissao(PERMISSOES.GERENCIAR_PEDIDOS);
+    container.innerHTML = pagina.length === 0
+        ? '<p>Nenhum pedido encontrado.</p>'
+        : pagina.map(pedido => htmlPedido(pedido, true, podeGerenciar)).join('');
+
+    document.getElementById('paginacaoPedidos').innerHTML = totalPaginas <= 1 ? '' : `
+        <button class="btn btn-secondary btn-small" ${paginaPedidos === 1 ? 'disabled' : ''}
+            onclick="irParaPaginaPedidos(${paginaPedidos - 1})">← Anterior</button>
+        <span>Página ${paginaPedidos} de ${totalPaginas}</span>
+        <button class="btn btn-secondary btn-small" ${paginaPedidos === totalPaginas ? 'disabled' : ''}
+            onclick="irParaPaginaPedidos(${paginaPedidos + 1})">Próxima →</button>
+    `;
+}
+
+/**
+ * Mantém o select de produtores do filtro em dia com o cadastro
+ */
+function atualizarOpcoesFiltroProdutor() {
+    const select = document.getElementById('filtroPedidoProdutor');
+    const selecionado = select.value;
+    select.innerHTML = '<option value="">Todos os produtores</option>' +
+        appState.produtores.map(p => `<option value="${sanitizar(p.id)}">${sanitizar(p.nome)}</option>`).join('');
+    select.value = appState.produtores.some(p => p.id === selecionado) ? selecionado : '';
+}
+
+// ========================================
+// PAINEL ADMIN - EXPORTAÇÃO
+// ========================================
+
+/**
+ * Escapa um campo de CSV. Textos que começam com =, +, - ou @ ganham um
+ * apóstrofo na frente para não virarem fórmula ao abrir na planilha
+ */
+function escaparCampoCsv(valor, separador) {
+    if (valor === null || valor === undefined) return '';
+    let texto = String(valor);
+    if (typeof valor === 'string' && /^[=+\-@\t\r]/.test(texto)) {
+        texto = "'" + texto;
+    }
+    if (texto.includes(separador) || /["\r\n]/.test(texto) || texto !== texto.trim()) {
+        texto = '"' + texto.replace(/"/g, '""') + '"';
+    }
+    return texto;
+}
+
+/**
+ * Textos são gravados escapados para HTML; arquivos exportados levam o texto
+ * original (&amp; vira &). Percorre objetos e listas, sem alterar o original
+ */
+function decodificarTextosExportacao(valor) {
+    if (typeof valor === 'string') return valor.includes('&') ? decodificarHtml(valor) : valor;
+    if (Array.isArray(valor)) return valor.map(decodificarTextosExportacao);
+    if (valor && typeof valor === 'object') {
+        return Object.fromEntries(Object.entries(valor).map(([chave, v]) => [chave, decodificarTextosExportacao(v)]));
+    }
+    return valor;
+}
+
+/**
+ * Monta o CSV a partir de colunas { titulo, valor(linha), decimal? }.
+ * Com decimais pt-BR o separador vira ';', como esperam as planilhas em português
+ */
+function gerarCsv(colunas, linhas, decimaisPtBr) {
+    const separador = decimaisPtBr ? ';' : ',';
+    const formatar = (coluna, linha) => {
+        const valor = coluna.valor(linha);
+        if (coluna.decimal && typeof valor === 'number') {
+            const texto = valor.toFixed(2);
+            return decimaisPtBr ? texto.replace('.', ',') : texto;
+        }
+        return valor;
+    };
+
+    const cabecalho = colunas.map(c => escaparCampoCsv(c.titulo, separador)).join(separador);
+    const corpo = linhas.map(linha =>
+        colunas.map(c => escaparCampoCsv(formatar(c, linha), separador)).join(separador)
+    );
+    // BOM para o Excel reconhecer UTF-8
+    return '\uFEFF' + [cabecalho, ...corpo].join('\r\n');
+}
+
+// Uma linha por item vendido; os dados do pedido se repetem em cada linha
+const COLUNAS_EXPORTACAO_PEDIDOS = [
+    { titulo: 'pedido', valor: l => l.pedido.id },
+    { titulo: 'data', valor: l => l.pedido.data },
+    { titulo: 'status', valor: l => STATUS_PEDIDO[l.pedido.status]?.nome || l.pedido.status },
+    { titulo: 'cliente', valor: l => l.pedido.usuarioNome },
+    { titulo: 'email', valor: l => l.pedido.usuarioEmail },
+    { titulo: 'cidade', valor: l => l.pedido.cidade },
+    { titulo: 'produtor', valor: l => l.item.produtorNome },
+    { titulo: 'item', valor: l => l.item.nome },
+    { titulo: 'quantidade', valor: l => l.item.quantidade },
+    { titulo: 'preco_unitario', valor: l => l.item.precoUnitario, decimal: true },
+    { titulo: 'subtotal', valor: l => l.item.subtotal, decimal: true },
+    { titulo: 'total_pedido', valor: l => l.pedido.total, decimal: true },
+    { titulo: 'cupom', valor: l => l.pedido.cupom?.codigo || '' },
+    { titulo: 'desconto_pedido', valor: l => l.pedido.desconto || 0, decimal: true },
+    { titulo: 'frete_pedido', valor: l => l.pedido.frete?.valor || 0, decimal: true }
+];
+
+const COLUNAS_EXPORTACAO_PRODUTOS = [
+    { titulo: 'item_id', valor: i => i.id },
+    { titulo: 'sku', valor: i => i.sku },
+    { titulo: 'nome', valor: i => i.nome },
+    { titulo: 'descricao', valor: i => i.descricao },
+    { titulo: 'preco', valor: i => i.preco, decimal: true },
+    { titulo: 'estoque', valor: i => i.estoque },
+    { titulo: 'disponivel', valor: i => i.disponivel ? 'sim' : 'não' },
+    { titulo: 'categoria', valor: i => i.categoria },
+    { titulo: 'tags', valor: i => i.tags.join('|') },
+    { titulo: 'peso_kg', valor: i => i.pesoKg, decimal: true },
+    { titulo: 'arquivado', valor: i => i.arquivado ? 'sim' : 'não' },
+    { titulo: 'produtor_id', valor: i => i.produtorId },
+    { titulo: 'produtor', valor: i => i.produtorNome }
+];
+
+const COLUNAS_EXPORTACAO_CLIENTES = [
+    { titulo: 'id', valor: c => c.id },
+    { titulo: 'nome', valor: c => c.nome },
+    { titulo: 'email', valor: c => c.email },
+    { titulo: 'pedidos', valor: c => c.quantidadePedidos },
+    { titulo: 'total_gasto', valor: c => c.totalGasto, decimal: true }
+];
 
-    if (!nome || nome.length < 3) {
-        mostrarMensagem('Nome deve ter pelo menos 3 caracteres', 'error', msgEl);
-        return;
+/**
+ * Pedidos com os filtros e a ordenação em uso na aba de pedidos (todas as páginas)
+ */
+function dadosExportacaoPedidos() {
+    return ordenarPedidos(filtrarPedidos(appState.pedidos, filtrosPedidos), ordenacaoPedidos);
+}
+
+/**
+ * Catálogo achatado, com a busca, os filtros e a ordenação em uso na vitrine;
+ * arquivados só entram quando pedidos explicitamente
+ */
+function dadosExportacaoProdutos(incluirArquivados) {
+    const itens = [];
+    for (let produtor of appState.produtores) {
+        if (produtor.arquivado && !incluirArquivados) continue;
+        for (let item of produtor.listaDeItens) {
+            if (item.arquivado && !incluirArquivados) continue;
+            itens.push({ ...item, produtorId: produtor.id, produtorNome: produtor.nome, produtorArquivado: !!produtor.arquivado });
+        }
     }
-    if (!validarEmail(email)) {
-        mostrarMensagem('Email inválido', 'error', msgEl);
+    return filtrarItensLoja(itens, filtrosLoja).map(item => ({
+        id: item.id,
+        sku: item.sku || '',
+        nome: item.nome,
+        descricao: item.descricao,
+        preco: item.preco,
+        estoque: item.estoque,
+        disponivel: item.disponivel,
+        categoria: caminhoCategoria(item.categoriaId),
+        tags: item.tags || [],
+        pesoKg: item.pesoKg || 0,
+        arquivado: !!(item.arquivado || item.produtorArquivado),
+        produtorId: item.produtorId,
+        produtorNome: item.produtorNome
+    }));
+}
+
+/**
+ * Clientes com campos escolhidos um a um: credenciais nunca entram na exportação.
+ * Com filtros ativos na aba de pedidos, só contam os pedidos que passam neles
+ * e só entram os clientes com algum pedido assim
+ */
+function dadosExportacaoClientes() {
+    const semValor = ['cancelado', 'reembolsado'];
+    const filtrando = Object.values(filtrosPedidos).some(v => typeof v === 'number' ? v > 0 : !!v);
+    const pedidosFiltrados = filtrarPedidos(appState.pedidos, filtrosPedidos);
+    const clientes = filtrando
+        ? appState.usuarios.filter(u => pedidosFiltrados.some(p => p.usuarioId === u.id))
+        : appState.usuarios;
+    return clientes.map(usuario => {
+        const pedidos = pedidosFiltrados.filter(p => p.usuarioId === usuario.id);
+        return {
+            id: usuario.id,
+            nome: usuario.nome,
+            email: usuario.email,
+            quantidadePedidos: pedidos.length,
+            totalGasto: pedidos
+                .filter(p => !semValor.includes(p.status))
+                .reduce((soma, p) => soma + p.total, 0)
+        };
+    });
+}
+
+function exportarDados(tipo) {
+    if (!usuarioTemPermissao(PERMISSOES.EXPORTAR_DADOS)) {
+        mostrarMensagem('Acesso negado', 'error');
         return;
     }
-    if (!validarSenha(senha)) {
-        mostrarMensagem('Senha deve ter pelo menos 6 caracteres', 'error', msgEl);
+
+    const formato = document.getElementById('exportacaoFormato').value;
+    const decimaisPtBr = document.getElementById('exportacaoDecimaisPtBr').checked;
+    const incluirArquivados = document.getElementById('exportacaoArquivados').checked;
+    const data = new Date().toISOString().slice(0, 10);
+
+    let dados;
+    let colunas;
+    if (tipo === 'pedidos') {
+        dados = dadosExportacaoPedidos();
+        colunas = COLUNAS_EXPORTACAO_PEDIDOS;
+    } else if (tipo === 'produtos') {
+        dados = dadosExportacaoProdutos(incluirArquivados);
+        colunas = COLUNAS_EXPORTACAO_PRODUTOS;
+    } else if (tipo === 'clientes') {
+        dados = dadosExportacaoClientes();
+        colunas = COLUNAS_EXPORTACAO_CLIENTES;
+    } else {
         return;
     }
-    if (senha !== confirmar) {
-        mostrarMensagem('Senhas não coincidem', 'error', msgEl);
-        return;
+
+    dados = decodificarTextosExportacao(dados);
+    const linhasCsv = tipo === 'pedidos'
+        ? dados.flatMap(pedido => pedido.itens.map(item => ({ pedido, item })))
+        : dados;
+
+    if (formato === 'json') {
+        baixarArquivo(`${tipo}_${data}.json`, JSON.stringify(dados, null, 2), 'application/json');
+    } else {
+        baixarArquivo(`${tipo}_${data}.csv`, gerarCsv(colunas, linhasCsv, decimaisPtBr), 'text/csv;charset=utf-8');
     }
+    mostrarMensagem(`${dados.length} registro(s) exportado(s)`, 'success', document.getElementById('exportacaoMsg'));
+}
 
-    if (appState.usuarios.some(u => u.email === email)) {
-        mostrarMensagem('Email já registrado', 'error', msgEl);
-        return;
+// ========================================
+// PAINEL ADMIN - IMPORTAÇÃO DE CATÁLOGO
+// ========================================
+
+/*
+ * Importação em duas etapas: o arquivo é lido e cada linha passa pelas mesmas
+ * regras do cadastro manual numa prévia (nada é gravado); só então as linhas
+ * válidas são aplicadas. Itens são casados pelo SKU dentro de cada produtor:
+ * SKU existente atualiza o item, SKU novo cria.
+ */
+
+const IMPORTACAO_MAX_LINHAS = 2000;
+
+// Campos do item e os nomes de coluna reconhecidos automaticamente (em ordem de preferência)
+const CAMPOS_IMPORTACAO = {
+    produtor: { nome: 'Produtor (id, email ou nome)', obrigatorio: true,
+        sinonimos: ['produtor_id', 'produtorid', 'produtor_email', 'email_produtor', 'produtor'] },
+    sku: { nome: 'SKU', obrigatorio: true, sinonimos: ['sku', 'codigo', 'cod'] },
+    nome: { nome: 'Nome', obrigatorio: true, sinonimos: ['nome', 'name', 'item', 'produto'] },
+    descricao: { nome: 'Descrição', obrigatorio: true, sinonimos: ['descricao', 'description'] },
+    preco: { nome: 'Preço', obrigatorio: true, sinonimos: ['preco', 'price', 'valor'] },
+    estoque: { nome: 'Estoque', obrigatorio: false, sinonimos: ['estoque', 'quantidade', 'qtd', 'stock'] },
+    disponivel: { nome: 'Disponível', obrigatorio: false, sinonimos: ['disponivel', 'ativo'] },
+    categoria: { nome: 'Categoria (id, nome ou caminho)', obrigatorio: false, sinonimos: ['categoria_id', 'categoria', 'category'] },
+    tags: { nome: 'Tags', obrigatorio: false, sinonimos: ['tags', 'etiquetas'] },
+    peso: { nome: 'Peso (kg)', obrigatorio: false, sinonimos: ['peso_kg', 'peso', 'weight'] }
+};
+
+// Arquivo carregado, mapeamento de colunas e resultado da última prévia
+let importacaoAtual = null;
+
+/**
+ * Lê CSV com aspas, separador ',' ou ';' (detectado pela primeira linha) e BOM.
+ * Devolve { numero, valores } por linha; numero é a linha do arquivo onde ela
+ * começa, contada antes de descartar as linhas em branco
+ */
+function interpretarCsv(texto) {
+    texto = texto.replace(/^\uFEFF/, '');
+    const primeiraLinha = texto.split(/\r?\n/, 1)[0];
+    const separador = (primeiraLinha.match(/;/g) || []).length > (primeiraLinha.match(/,/g) || []).length ? ';' : ',';
+
+    const linhas = [];
+    let linha = [];
+    let campo = '';
+    let entreAspas = false;
+    let numeroAtual = 1;
+    let inicioLinha = 1;
+    for (let i = 0; i < texto.length; i++) {
+        const c = texto[i];
+        if (entreAspas) {
+            if (c === '"' && texto[i + 1] === '"') {
+                campo += '"';
+                i++;
+            } else if (c === '"') {
+                entreAspas = false;
+            } else {
+                // Quebras dentro de aspas também contam como linhas do arquivo
+                if (c === '\n' || (c === '\r' && texto[i + 1] !== '\n')) numeroAtual++;
+                campo += c;
+            }
+        } else if (c === '"') {
+            entreAspas = true;
+        } else if (c === separador) {
+            linha.push(campo);
+            campo = '';
+        } else if (c === '\n' || c === '\r') {
+            if (c === '\r' && texto[i + 1] === '\n') i++;
+            linha.push(campo);
+            linhas.push({ numero: inicioLinha, valores: linha });
+            linha = [];
+            campo = '';
+            inicioLinha = ++numeroAtual;
+        } else {
+            campo += c;
+        }
     }
+    if (campo !== '' || linha.length > 0) {
+        linha.push(campo);
+        linhas.push({ numero: inicioLinha, valores: linha });
+    }
+    return linhas.filter(l => l.valores.some(v => v.trim() !== ''));
+}
 
-    // Criar novo usuário
-    const novoUsuario = {
-        id: 'user_' + Date.now(),
-        nome,
-        email,
-        senhaHash: hashSenhaSimples(senha),
-        role: 'user',
-        pedidos: []
-    };
+/**
+ * Transforma o conteúdo do arquivo em { colunas, registros, linhas } (registros
+ * como objetos; linhas[i] é a linha do CSV ou a posição no JSON do registro i)
+ */
+function interpretarArquivoImportacao(texto, nomeArquivo) {
+    if (/\.json$/i.test(nomeArquivo) || /^\s*[\[{]/.test(texto)) {
+        let dados = JSON.parse(texto);
+        if (!Array.isArray(dados)) dados = dados.itens || [];
+        const colunas = [...new Set(dados.flatMap(r => Object.keys(r || {})))];
+        const validos = dados.map((r, i) => ({ r, numero: i + 1 })).filter(({ r }) => r && typeof r === 'object');
+        return { colunas, registros: validos.map(v => v.r), linhas: validos.map(v => v.numero) };
+    }
 
-    appState.usuarios.push(novoUsuario);
-    appState.usuarioLogado = novoUsuario;
-    salvarDados();
-    mostrarMensagem('Cadastro realizado com sucesso!', 'success', msgEl);
-    document.getElementById('registroForm').reset();
-    atualizarUI();
-    fecharLoginModal();
-    setTimeout(() => msgEl.textContent = '', 3000);
+    const [cabecalho = { valores: [] }, ...linhas] = interpretarCsv(texto);
+    const colunas = cabecalho.valores.map(c => c.trim());
+    const registros = linhas.map(({ valores }) =>
+        Object.fromEntries(colunas.map((coluna, i) => [coluna, valores[i] ?? '']))
+    );
+    return { colunas, registros, linhas: linhas.map(l => l.numero) };
 }
 
-function handleLoginAdminForm(e) {
-    e.preventDefault();
-    const email = sanitizar(document.getElementById('loginAdminEmail').value);
-    const senha = document.getElementById('loginAdminPassword').value;
-    const msgEl = document.getElementById('loginAdminMsg');
+function normalizarNomeColuna(nome) {
+    return normalizarBusca(nome).replace(/[\s-]+/g, '_');
+}
 
-    if (!validarEmail(email)) {
-        mostrarMensagem('Email inválido', 'error', msgEl);
+function mapearColunasAutomaticamente(colunas) {
+    const mapeamento = {};
+    for (let [campo, def] of Object.entries(CAMPOS_IMPORTACAO)) {
+        for (let sinonimo of def.sinonimos) {
+            const coluna = colunas.find(c => normalizarNomeColuna(c) === sinonimo);
+            if (coluna) {
+                mapeamento[campo] = coluna;
+                break;
+            }
+        }
+    }
+    return mapeamento;
+}
+
+/**
+ * Aceita 12.5, "12,50", "1.234,56" e "R$ 12,50"
+ */
+function converterNumeroImportacao(valor) {
+    if (typeof valor === 'number') return valor;
+    let texto = String(valor ?? '').replace(/R\$|\s/g, '');
+    if (texto === '') return NaN;
+    if (texto.includes(',')) {
+        texto = texto.replace(/\./g, '').replace(',', '.');
+    }
+    return Number(texto);
+}
+
+function converterBooleanoImportacao(valor) {
+    if (typeof valor === 'boolean') return valor;
+    const texto = normalizarNomeColuna(String(valor ?? '').trim());
+    if (['sim', 's', 'true', '1', 'yes'].includes(texto)) return true;
+    if (['nao', 'n', 'false', '0', 'no'].includes(texto)) return false;
+    return null;
+}
+
+function buscarProdutorImportacao(referencia) {
+    const ref = String(referencia ?? '').trim().toLowerCase();
+    if (!ref) return null;
+    return appState.produtores.find(p => p.id.toLowerCase() === ref) ||
+        appState.produtores.find(p => p.email.toLowerCase() === ref) ||
+        appState.produtores.find(p => p.nome.toLowerCase() === ref) ||
+        null;
+}
+
+/**
+ * Aceita o id, o caminho completo ("Hortifrúti › Frutas", também com > ou /)
+ * ou o nome, desde que só uma categoria tenha esse nome
+ */
+function buscarCategoriaImportacao(referencia) {
+    const ref = String(referencia ?? '').trim();
+    if (!ref) return null;
+    const porId = buscarCategoria(ref);
+    if (porId) return porId;
+
+    const caminho = ref.split(/\s*[›>/]\s*/).map(normalizarBusca).join('|');
+    const porCaminho = appState.categorias.find(c =>
+        ancestraisCategoria(c.id).map(a => normalizarBusca(a.nome)).join('|') === caminho);
+    if (porCaminho) return porCaminho;
+
+    const porNome = appState.categorias.filter(c => normalizarBusca(c.nome) === normalizarBusca(ref));
+    return porNome.length === 1 ? porNome[0] : null;
+}
+
+/**
+ * Valida todas as linhas sem gravar nada. Cada resultado traz a ação
+ * ('criar' | 'atualizar' | 'erro'), a linha de origem no arquivo, os dados já convertidos e os erros
+ */
+function montarPreviaImportacao(registros, mapeamento, linhas) {
+    const valorDe = (registro, campo) => mapeamento[campo] ? registro[mapeamento[campo]] : undefined;
+    const skusNoArquivo = new Set();
+
+    return registros.map((registro, indice) => {
+        const erros = [];
+        const produtor = buscarProdutorImportacao(valorDe(registro, 'produtor'));
+        const sku = sanitizar(String(valorDe(registro, 'sku') ?? '').trim());
+
+        if (!produtor) {
+            erros.push('Produtor não encontrado');
+        } else if (produtor.arquivado) {
+            erros.push('Produtor arquivado');
+        }
+        if (!sku) {
+            erros.push('SKU obrigatório');
+        } else if (produtor) {
+            const chave = produtor.id + '|' + sku;
+            if (skusNoArquivo.has(chave)) erros.push('SKU repetido no arquivo');
+            skusNoArquivo.add(chave);
+        }
+
+        const existente = produtor && sku ? buscarItemPorSku(produtor, sku) : null;
+        const estoqueBruto = valorDe(registro, 'estoque');
+        const semEstoque = estoqueBruto === undefined || String(estoqueBruto).trim() === '';
+        const dados = {
+            sku,
+            nome: sanitizar(String(valorDe(registro, 'nome') ?? '').trim()),
+            descricao: sanitizar(String(valorDe(registro, 'descricao') ?? '').trim()),
+            preco: converterNumeroImportacao(valorDe(registro, 'preco')),
+            // Sem coluna de estoque, atualizações mantêm o estoque atual
+            estoque: semEstoque ? (existente ? existente.estoque : 0) : converterNumeroImportacao(estoqueBruto)
+        };
+
+        // Sem coluna de peso, atualizações mantêm o peso atual
+        const pesoBruto = valorDe(registro, 'peso');
+        if (pesoBruto !== undefined && String(pesoBruto).trim() !== '') {
+            dados.pesoKg = converterNumeroImportacao(pesoBruto);
+        }
+
+        const validacao = validarDadosItem(dados);
+        if (!validacao.valido) erros.push(validacao.erro);
+
+        const disponivelBruto = valorDe(registro, 'disponivel');
+        if (disponivelBruto !== undefined && String(disponivelBruto).trim() !== '') {
+            dados.disponivel = converterBooleanoImportacao(disponivelBruto);
+            if (dados.disponivel === null) erros.push('Disponível deve ser sim ou não');
+        }
+
+        const categoriaBruta = valorDe(registro, 'categoria');
+        if (categoriaBruta !== undefined && String(categoriaBruta).trim() !== '') {
+            const categoria = buscarCategoriaImportacao(categoriaBruta);
+            if (categoria) {
+                dados.categoriaId = categoria.id;
+            } else {
+                erros.push('Categoria não encontrada');
+            }
+        }
+
+        // Exportações em JSON trazem as tags como lista
+        const tagsBrutas = valorDe(registro, 'tags');
+        if (tagsBrutas !== undefined && String(tagsBrutas).trim() !== '') {
+            dados.tags = normalizarTags(Array.isArray(tagsBrutas) ? tagsBrutas.join(',') : tagsBrutas);
+        }
+
+        return {
+            linha: linhas[indice],
+            produtor,
+            existente,
+            dados,
+            erros,
+            acao: erros.length > 0 ? 'erro' : existente ? 'atualizar' : 'criar'
+        };
+    });
+}
+
+function lerArquivoImportacao(input) {
+    const arquivo = input.files[0];
+    if (!arquivo) return;
+
+    const leitor = new FileReader();
+    leitor.onload = () => carregarTextoImportacao(leitor.result, arquivo.name);
+    leitor.readAsText(arquivo, 'utf-8');
+}
+
+function carregarTextoImportacao(texto, nomeArquivo) {
+    if (!usuarioTemPermissao(PERMISSOES.GERENCIAR_ITENS)) {
+        mostrarMensagem('Acesso negado', 'error');
         return;
     }
 
-    if (appState.admin.email !== email) {
-        mostrarMensagem('Admin não encontrado', 'error', msgEl);
+    const msgEl = document.getElementById('importacaoMsg');
+    let conteudo;
+    try {
+        conteudo = interpretarArquivoImportacao(texto, nomeArquivo);
+    } catch (erro) {
+        importacaoAtual = null;
+        renderizarImportacao();
+        mostrarMensagem('Arquivo inválido: ' + erro.message, 'error', msgEl);
         return;
     }
 
-    if (appState.admin.senhaHash !== hashSenhaSimples(senha)) {
-        mostrarMensagem('Senha incorreta', 'error', msgEl);
+    if (conteudo.registros.length === 0) {
+        mostrarMensagem('Nenhuma linha encontrada no arquivo', 'error', msgEl);
+        return;
+    }
+    if (conteudo.registros.length > IMPORTACAO_MAX_LINHAS) {
+        mostrarMensagem(`O arquivo tem ${conteudo.registros.length} linhas; o limite é ${IMPORTACAO_MAX_LINHAS}`, 'error', msgEl);
         return;
     }
 
-    appState.usuarioLogado = appState.admin;
-    salvarDados();
-    mostrarMensagem('Login admin realizado com sucesso!', 'success', msgEl);
-    atualizarUI();
-    fecharLoginModal();
-    setTimeout(() => msgEl.textContent = '', 3000);
+    msgEl.textContent = '';
+    importacaoAtual = {
+        nomeArquivo,
+        colunas: conteudo.colunas,
+        registros: conteudo.registros,
+        linhas: conteudo.linhas,
+        mapeamento: mapearColunasAutomaticamente(conteudo.colunas)
+    };
+    renderizarImportacao();
 }
 
-function handleLogout() {
-    appState.usuarioLogado = null;
-    appState.carrinho = [];
+function alterarMapeamentoImportacao(campo, coluna) {
+    if (!importacaoAtual) return;
+    if (coluna) {
+        importacaoAtual.mapeamento[campo] = coluna;
+    } else {
+        delete importacaoAtual.mapeamento[campo];
+    }
+    renderizarImportacao();
+}
+
+function cancelarImportacao() {
+    importacaoAtual = null;
+    document.getElementById('importacaoArquivo').value = '';
+    renderizarImportacao();
+}
+
+/**
+ * Grava as linhas válidas. A prévia é refeita na hora para refletir o estado atual
+ */
+function aplicarImportacao() {
+    if (!usuarioTemPermissao(PERMISSOES.GERENCIAR_ITENS) || !importacaoAtual) return;
+
+    const previa = montarPreviaImportacao(importacaoAtual.registros, importacaoAtual.mapeamento, importacaoAtual.linhas);
+    const validas = previa.filter(r => r.acao !== 'erro');
+    if (validas.length === 0) return;
+    if (!confirm(`Importar ${validas.length} linha(s)? Linhas com erro serão ignoradas.`)) return;
+
+    const base = Date.now();
+    let criados = 0;
+    let atualizados = 0;
+    validas.forEach((resultado, i) => {
+        const { produtor, existente, dados } = resultado;
+        if (existente) {
+            registrarAlteracaoPreco(existente, dados.preco);
+            Object.assign(existente, dados);
+            atualizados++;
+        } else {
+            produtor.listaDeItens.push({
+                id: `item_${base}_${i}`,
+                ...dados,
+                produtorId: produtor.id,
+                disponivel: dados.disponivel ?? true,
+                categoriaId: dados.categoriaId || null,
+                tags: dados.tags || [],
+                pesoKg: dados.pesoKg || 0,
+                historicoPrecos: [],
+                criadoEm: new Date().toISOString()
+            });
+            criados++;
+        }
+    });
+
     salvarDados();
-    atualizarUI();
-    mostrarSecao('loja');
+    importacaoAtual = null;
+    document.getElementById('importacaoArquivo').value = '';
+    renderizarImportacao();
+    mostrarMensagem(`${criados} item(ns) criado(s), ${atualizados} atualizado(s)`, 'success',
+        document.getElementById('importacaoMsg'));
+    renderizarProdutores();
+    renderizarProdutos();
+    renderizarCategorias();
+}
+
+function renderizarImportacao() {
+    const mapeamentoEl = document.getElementById('importacaoMapeamento');
+    const previaEl = document.getElementById('importacaoPrevia');
+    if (!importacaoAtual) {
+        mapeamentoEl.innerHTML = '';
+        previaEl.innerHTML = '';
+        return;
+    }
+
+    const { colunas, registros, linhas, mapeamento } = importacaoAtual;
+    mapeamentoEl.innerHTML = `
+        <h3>Colunas de ${sanitizar(importacaoAtual.nomeArquivo)}</h3>
+        <div class="importacao-mapeamento">
+            ${Object.entries(CAMPOS_IMPORTACAO).map(([campo, def]) => `
+                <label>
+                    ${def.nome}${def.obrigatorio ? ' *' : ''}
+                    <select onchange="alterarMapeamentoImportacao('${campo}', this.value)">
+                        <option value="">— não importar —</option>
+                        ${colunas.map(c => `
+                            <option value="${escaparAtributo(c)}" ${mapeamento[campo] === c ? 'selected' : ''}>${sanitizar(c)}</option>
+                        `).join('')}
+                    </select>
+                </label>
+            `).join('')}
+        </div>
+    `;
+
+    const previa = montarPreviaImportacao(registros, mapeamento, linhas);
+    const contagem = { criar: 0, atualizar: 0, erro: 0 };
+    previa.forEach(r => contagem[r.acao]++);
+    const rotulos = { criar: 'Criar', atualizar: 'Atualizar', erro: 'Erro' };
+
+    previaEl.innerHTML = `
+        <h3>Prévia (nada foi gravado ainda)</h3>
+        <p>${contagem.criar} a criar · ${contagem.atualizar} a atualizar · ${contagem.erro} com erro</p>
+        <div class="importacao-tabela">
+            <table>
+                <thead>
+                    <tr><th>Linha</th><th>Ação</th><th>Produtor</th><th>SKU</th><th>Nome</th><th>Preço</th><th>Estoque</th><th>Erros</th></tr>
+                </thead>
+                <tbody>
+                    ${previa.map(r => `
+                        <tr class="${r.acao}">
+                            <td>${r.linha}</td>
+                            <td>${rotulos[r.acao]}</td>
+                            <td>${r.produtor ? sanitizar(r.produtor.nome) : '—'}</td>
+                            <td>${r.dados.sku}</td>
+                            <td>${r.dados.nome}</td>
+                            <td>${Number.isFinite(r.dados.preco) ? r.dados.preco.toFixed(2) : '—'}</td>
+                            <td>${Number.isFinite(r.dados.estoque) ? r.dados.estoque : '—'}</td>
+                            <td>${r.erros.map(sanitizar).join('; ')}</td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        </div>
+        <div class="importacao-acoes">
+            <button class="btn btn-primary" onclick="aplicarImportacao()"
+                ${contagem.criar + contagem.atualizar === 0 ? 'disabled' : ''}>
+                Importar ${contagem.criar + contagem.atualizar} linha(s) válida(s)
+            </button>
+            <button class="btn btn-secondary" onclick="cancelarImportacao()">Cancelar</button>
+        </div>
+    `;
 }
 
 // ========================================
-// MODAL DE LOGIN UNIFICADO
+// PAINEL ADMIN - BACKUP E RESTAURAÇÃO
 // ========================================
 
+/*
+ * O backup é o snapshot gravado por salvarDados mais a configuração de
+ * pagamento e as imagens usadas pelos itens e produtores, embrulhado com a versão do formato e um checksum SHA-256 dos
+ * dados. Backups de esquemas antigos passam pelas mesmas migrações da carga.
+ * Sessões e tentativas de login ficam fora do arquivo; na restauração as atuais
+ * são mantidas (quem restaura continua logado e bloqueios continuam valendo)
+ * e uma cópia do estado atual é guardada antes de qualquer alteração.
+ */
+
+const BACKUP_FORMATO = 'loja-virtual-backup';
+const BACKUP_VERSAO = 1;
+
+// Backup lido e validado, aguardando o admin escolher substituir ou mesclar
+let restauracaoPendente = null;
+
+async function calcularChecksum(texto) {
+    const hash = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(texto));
+    return 'sha256-' + bufferParaBase64(hash);
+}
+
+async function gerarBackup() {
+    if (!usuarioTemPermissao(PERMISSOES.BACKUP)) {
+        mostrarMensagem('Acesso negado', 'error');
+        return;
+    }
+
+    // Sessões abertas e tentativas de login são do momento: não saem no arquivo
+    const snapshot = criarSnapshot();
+    const { sessoes, tentativasLogin, ...meta } = snapshot.meta;
+    const dados = { ...snapshot, meta, configPagamento: appState.configPagamento, imagens: {} };
+    // Imagens ficam em registros próprios no armazenamento: entram as que os dados usam
+    for (let imagemId of idsImagensReferenciadas(snapshot.produtores)) {
+        const imagem = await obterImagem(imagemId);
+        if (imagem) dados.imagens[imagemId] = imagem;
+    }
+    const textoDados = JSON.stringify(dados);
+    const backup = {
+        formato: BACKUP_FORMATO,
+        versao: BACKUP_VERSAO,
+        schemaVersion: SCHEMA_VERSION,
+        criadoEm: new Date().toISOString(),
+        checksum: await calcularChecksum(textoDados),
+        dados: JSON.parse(textoDados)
+    };
+
+    const data = backup.criadoEm.slice(0, 10);
+    baixarArquivo(`loja-backup_${data}.json`, JSON.stringify(backup, null, 2), 'application/json');
+    mostrarMensagem('Backup gerado', 'success', document.getElementById('backupMsg'));
+}
+
 /**
- * Abre o modal de login e exibe a aba especificada
+ * Confere formato, checksum e versão; devolve o snapshot já migrado
  */
-function abrirLoginModal(aba = 'login') {
-    const modal = document.getElementById('loginModal');
-    const tabs = document.querySelectorAll('.login-tab-btn');
-    const contents = document.querySelectorAll('.login-tab-content');
+async function validarBackup(texto) {
+    let backup;
+    try {
+        backup = JSON.parse(texto);
+    } catch (e) {
+        throw new Error('Arquivo não é um JSON válido');
+    }
+    if (!backup || backup.formato !== BACKUP_FORMATO || !backup.dados) {
+        throw new Error('Arquivo não é um backup da loja');
+    }
+    if (backup.versao > BACKUP_VERSAO) {
+        throw new Error('Backup gerado por uma versão mais nova da loja');
+    }
+    if (await calcularChecksum(JSON.stringify(backup.dados)) !== backup.checksum) {
+        throw new Error('Checksum não confere: o arquivo foi alterado ou está corrompido');
+    }
 
-    // Resetar todas as abas
-    tabs.forEach(tab => tab.classList.remove('active'));
-    contents.forEach(content => content.classList.remove('active'));
+    const dados = backup.dados;
+    if (!Array.isArray(dados.usuarios) || !Array.isArray(dados.produtores) ||
+        !Array.isArray(dados.pedidos) || !dados.meta) {
+        throw new Error('Estrutura de dados inválida: usuarios, produtores ou pedidos ausentes');
+    }
+    const imagemValida = imagem => imagem && ['miniatura', 'detalhe'].every(tamanho =>
+        typeof imagem[tamanho] === 'string' && imagem[tamanho].startsWith('data:image/'));
+    if (dados.imagens !== undefined &&
+        (typeof dados.imagens !== 'object' || !Object.values(dados.imagens || {}).every(imagemValida))) {
+        throw new Error('Estrutura de dados inválida: imagens corrompidas');
+    }
+    const versao = dados.meta.schemaVersion || 0;
+    if (versao > SCHEMA_VERSION) {
+        throw new Error(`Backup de uma versão mais nova da loja (esquema ${versao})`);
+    }
+    migrarSnapshot(dados);
+    return { backup, dados };
+}
 
-    // Ativar aba específica
-    const abaMapeada = aba === 'registro' ? 'registro' : aba === 'admin' ? 'admin' : 'login';
-    document.querySelector(`[data-tab="${abaMapeada}"]`).classList.add('active');
-    document.getElementById(abaMapeada === 'login' ? 'loginTab' : abaMapeada === 'registro' ? 'registroTab' : 'adminTab').classList.add('active');
+function contarItens(produtores) {
+    return produtores.reduce((soma, p) => soma + p.listaDeItens.length, 0);
+}
 
-    // Limpar mensagens anteriores
-    document.getElementById('loginMsg').textContent = '';
-    document.getElementById('registroMsg').textContent = '';
-    document.getElementById('loginAdminMsg').textContent = '';
+function chaveEmail(email) {
+    return String(email || '').trim().toLowerCase();
+}
 
-    // Mostrar modal
-    modal.style.display = 'flex';
+/**
+ * Contas do backup que a mesclagem acrescenta: id novo e email ainda não usado.
+ * outrasContas também bloqueiam o email (produtores não podem repetir o de
+ * clientes ou da equipe: o login do portal pega a primeira conta com o email)
+ */
+function contasNovasDoBackup(atuais, doBackup, outrasContas = []) {
+    const ids = new Set(atuais.map(c => c.id));
+    const emails = new Set([...atuais, ...outrasContas].map(c => chaveEmail(c.email)));
+    return doBackup.filter(c => !ids.has(c.id) && !emails.has(chaveEmail(c.email)));
+}
+
+function produtoresNovosDoBackup(doBackup) {
+    return contasNovasDoBackup(appState.produtores, doBackup, [...appState.usuarios, ...appState.equipe]);
 }
 
 /**
- * Fecha o modal de login
+ * Cupons do backup com id novo e código ainda não usado (o código é único)
  */
-function fecharLoginModal() {
-    document.getElementById('loginModal').style.display = 'none';
+function cuponsNovosDoBackup(doBackup) {
+    const ids = new Set(appState.cupons.map(c => c.id));
+    const codigos = new Set(appState.cupons.map(c => normalizarCodigoCupom(c.codigo)));
+    return doBackup.filter(c => !ids.has(c.id) && !codigos.has(normalizarCodigoCupom(c.codigo)));
 }
 
 /**
- * Event listeners para abas do login modal
+ * Itens do backup que entram num produtor que já existe: id novo e SKU ainda não usado
  */
-function inicializarTabasLogin() {
-    const tabBtns = document.querySelectorAll('.login-tab-btn');
-    
-    tabBtns.forEach(btn => {
-        btn.addEventListener('click', () => {
-            const abaAlvo = btn.dataset.tab;
+function itensNovosDoBackup(produtor, itensBackup) {
+    const ids = new Set(produtor.listaDeItens.map(i => i.id));
+    return itensBackup.filter(i => !ids.has(i.id) && !(i.sku && buscarItemPorSku(produtor, i.sku)));
+}
 
-            // Remover ativo de todos os botões e conteúdos
-            tabBtns.forEach(b => b.classList.remove('active'));
-            document.querySelectorAll('.login-tab-content').forEach(c => c.classList.remove('active'));
+/**
+ * Quantidades atuais x backup e quantos registros do backup ainda não existem aqui
+ */
+function resumirRestauracao(dados) {
+    const novos = (atuais, doBackup) => {
+        const ids = new Set(atuais.map(r => r.id));
+        return doBackup.filter(r => !ids.has(r.id)).length;
+    };
+    const itensNovos = dados.produtores.reduce((soma, produtorBackup) => {
+        const atual = appState.produtores.find(p => p.id === produtorBackup.id);
+        return soma + (atual ? itensNovosDoBackup(atual, produtorBackup.listaDeItens) : produtorBackup.listaDeItens).length;
+    }, 0);
+    const equipeBackup = dados.meta.equipe || [];
+    const categoriasBackup = dados.meta.categorias || [];
+    const cuponsBackup = dados.meta.cupons || [];
+    const zonasBackup = dados.meta.frete?.zonas || [];
+    const imagensAtuais = idsImagensReferenciadas(appState.produtores);
+    const imagensBackup = Object.keys(dados.imagens || {});
+
+    return [
+        { nome: 'Usuários', atual: appState.usuarios.length, backup: dados.usuarios.length, novos: contasNovasDoBackup(appState.usuarios, dados.usuarios).length },
+        { nome: 'Produtores', atual: appState.produtores.length, backup: dados.produtores.length, novos: produtoresNovosDoBackup(dados.produtores).length },
+        { nome: 'Itens', atual: contarItens(appState.produtores), backup: contarItens(dados.produtores), novos: itensNovos },
+        { nome: 'Pedidos', atual: appState.pedidos.length, backup: dados.pedidos.length, novos: novos(appState.pedidos, dados.pedidos) },
+        { nome: 'Equipe', atual: appState.equipe.length, backup: equipeBackup.length, novos: contasNovasDoBackup(appState.equipe, equipeBackup).length },
+        { nome: 'Categorias', atual: appState.categorias.length, backup: categoriasBackup.length, novos: novos(appState.categorias, categoriasBackup) },
+        { nome: 'Cupons', atual: appState.cupons.length, backup: cuponsBackup.length, novos: cuponsNovosDoBackup(cuponsBackup).length },
+        { nome: 'Zonas de frete', atual: appState.frete.zonas.length, backup: zonasBackup.length, novos: novos(appState.frete.zonas, zonasBackup) },
+        { nome: 'Imagens', atual: imagensAtuais.size, backup: imagensBackup.length, novos: imagensBackup.filter(id => !imagensAtuais.has(id)).length }
+    ];
+}
 
-            // Ativar selecionado
-            btn.classList.add('active');
-            document.getElementById(abaAlvo + 'Tab').classList.add('active');
-        });
-    });
+function lerArquivoBackup(input) {
+    const arquivo = input.files[0];
+    if (!arquivo) return;
+
+    const leitor = new FileReader();
+    leitor.onload = () => carregarBackupParaRestauracao(leitor.result, arquivo.name);
+    leitor.readAsText(arquivo, 'utf-8');
+}
+
+async function carregarBackupParaRestauracao(texto, nomeArquivo) {
+    if (!usuarioTemPermissao(PERMISSOES.BACKUP)) {
+        mostrarMensagem('Acesso negado', 'error');
+        return;
+    }
+
+    const msgEl = document.getElementById('backupMsg');
+    try {
+        const { backup, dados } = await validarBackup(texto);
+        // Backups antigos (ou com imagens que já faltavam) não trazem todas as imagens usadas
+        const imagensFaltando = [...idsImagensReferenciadas(dados.produtores)]
+            .filter(id => !(dados.imagens || {})[id]).length;
+        restauracaoPendente = {
+            nomeArquivo, criadoEm: backup.criadoEm, dados, imagensFaltando, resumo: resumirRestauracao(dados)
+        };
+        msgEl.textContent = '';
+    } catch (e) {
+        restauracaoPendente = null;
+        mostrarMensagem(e.message, 'error', msgEl);
+    }
+    renderizarRestauracao();
+}
+
+function cancelarRestauracao() {
+    restauracaoPendente = null;
+    document.getElementById('backupArquivo').value = '';
+    renderizarRestauracao();
+}
+
+/**
+ * Acrescenta os registros do backup cujo id ainda não existe.
+ * Em conflito, o registro atual prevalece: contas com email já cadastrado
+ * (produtores também contra clientes e equipe), cupons com código já usado e
+ * itens com SKU já usado no produtor ficam de fora. Pedidos de um cliente do
+ * backup que já existe aqui com outro id passam para a conta atual.
+ */
+function mesclarSnapshot(dados) {
+    const adicionarNovos = (atuais, doBackup) => {
+        const ids = new Set(atuais.map(r => r.id));
+        const novos = doBackup.filter(r => !ids.has(r.id));
+        atuais.push(...novos);
+        return novos;
+    };
+
+    // Cliente do backup -> conta atual com o mesmo email
+    const contaPorIdDoBackup = new Map();
+    for (let usuario of dados.usuarios) {
+        const existente = appState.usuarios.find(u => u.id !== usuario.id && chaveEmail(u.email) === chaveEmail(usuario.email));
+        if (existente) contaPorIdDoBackup.set(usuario.id, existente.id);
+    }
+
+    appState.usuarios.push(...contasNovasDoBackup(appState.usuarios, dados.usuarios));
+    appState.equipe.push(...contasNovasDoBackup(appState.equipe, dados.meta.equipe || []));
 
-    // Fechar modal ao clicar fora
-    document.getElementById('loginModal').addEventListener('click', (e) => {
-        if (e.target.id === 'loginModal') {
-            fecharLoginModal();
+    for (let pedido of adicionarNovos(appState.pedidos, dados.pedidos)) {
+        pedido.usuarioId = contaPorIdDoBackup.get(pedido.usuarioId) || pedido.usuarioId;
+        // "Meus pedidos" e podeVerPedido partem da lista da conta
+        const dono = appState.usuarios.find(u => u.id === pedido.usuarioId);
+        if (dono) {
+            dono.pedidos = dono.pedidos || [];
+            if (!dono.pedidos.includes(pedido.id)) dono.pedidos.push(pedido.id);
         }
-    });
-}
+    }
 
-// ========================================
-// VERIFICAÇÃO DE PERMISSÕES
-// ========================================
+    adicionarNovos(appState.categorias, dados.meta.categorias || []);
+    appState.cupons.push(...cuponsNovosDoBackup(dados.meta.cupons || []));
+    // As demais regras de frete continuam as atuais; só as zonas novas entram
+    adicionarNovos(appState.frete.zonas, dados.meta.frete?.zonas || []);
+
+    const produtoresNovos = produtoresNovosDoBackup(dados.produtores);
+    for (let produtorBackup of dados.produtores) {
+        const atual = appState.produtores.find(p => p.id === produtorBackup.id);
+        if (atual) {
+            atual.listaDeItens.push(...itensNovosDoBackup(atual, produtorBackup.listaDeItens));
+        } else if (produtoresNovos.includes(produtorBackup)) {
+            appState.produtores.push(produtorBackup);
+        }
+    }
 
-function usuarioAtualEhAdmin() {
-    return appState.usuarioLogado && appState.usuarioLogado.role === 'admin';
+    for (let [chave, carrinho] of Object.entries(dados.meta.carrinhos || {})) {
+        if (!appState.carrinhos[chave]) appState.carrinhos[chave] = carrinho;
+    }
 }
 
-function usuarioEstaLogado() {
-    return appState.usuarioLogado !== null;
-}
+async function restaurarBackup(modo) {
+    if (!usuarioTemPermissao(PERMISSOES.BACKUP) || !restauracaoPendente) return;
 
-// ========================================
-// GESTÃO DE CARRINHO
-// ========================================
+    const aviso = modo === 'substituir'
+        ? 'Todos os dados atuais serão substituídos pelo backup. Continuar?'
+        : 'Os registros do backup que não existem aqui serão adicionados. Continuar?';
+    if (!confirm(aviso)) return;
 
-function adicionarAoCarrinho(itemId) {
-    // Verificar se usuário está logado
-    if (!usuarioEstaLogado()) {
-        mostrarMensagem('Você precisa estar logado para adicionar itens', 'warning', 
-            document.getElementById('carrinhoMsg'));
+    const msgEl = document.getElementById('backupMsg');
+    try {
+        await armazenamento.salvarBackup(JSON.stringify(criarSnapshot()), `antes_restauracao_${Date.now()}`);
+    } catch (e) {
+        console.error('Erro ao guardar cópia dos dados:', e);
+        mostrarMensagem('Não foi possível guardar uma cópia dos dados atuais; nada foi restaurado', 'error', msgEl);
         return;
     }
 
-    // Buscar item nos produtores
-    let itemEncontrado = null;
-    for (let produtor of appState.produtores) {
-        const item = produtor.listaDeItens.find(i => i.id === itemId);
-        if (item && item.disponivel) {
-            itemEncontrado = { ...item, produtorNome: produtor.nome };
-            break;
+    const { dados } = restauracaoPendente;
+    const { usuarioLogado, carrinho, sessoes, tentativasLogin, configPagamento } = appState;
+    const imagensAntes = idsImagensReferenciadas(appState.produtores);
+
+    // Imagens primeiro: se o armazenamento recusar, os dados ficam como estavam
+    const imagensGravadas = [];
+    try {
+        for (let [imagemId, imagem] of Object.entries(dados.imagens || {})) {
+            if (modo !== 'substituir' && imagensAntes.has(imagemId)) continue;
+            await armazenamento.salvarImagem(imagemId, imagem);
+            cacheImagens.delete(imagemId);
+            imagensGravadas.push(imagemId);
         }
+    } catch (e) {
+        console.error('Erro ao restaurar imagens:', e);
+        removerImagensArmazenadas(imagensGravadas.filter(id => !imagensAntes.has(id)));
+        mostrarMensagem('Não foi possível gravar as imagens do backup; nada foi restaurado', 'error', msgEl);
+        return;
     }
 
-    if (!itemEncontrado) {
-        mostrarMensagem('Item não disponível', 'error');
+    if (modo === 'substituir') {
+        aplicarSnapshot(dados);
+        appState.sessoes = sessoes;
+        appState.tentativasLogin = tentativasLogin;
+        appState.configPagamento = dados.configPagamento || configPagamento;
+    } else {
+        mesclarSnapshot(dados);
+    }
+    appState.carrinho = carrinho;
+    appState.usuarioLogado = usuarioLogado ? buscarConta(usuarioLogado.id) : null;
+
+    localStorage.setItem(PAGAMENTO_CONFIG_KEY, JSON.stringify(appState.configPagamento));
+    await salvarDados();
+
+    // Imagens que nenhum registro usa mais: as dos dados substituídos e as de itens que a mesclagem recusou
+    const imagensDepois = idsImagensReferenciadas(appState.produtores);
+    removerImagensArmazenadas([...imagensAntes, ...imagensGravadas].filter(id => !imagensDepois.has(id)));
+
+    restauracaoPendente = null;
+    document.getElementById('backupArquivo').value = '';
+    renderizarRestauracao();
+    mostrarMensagem('Backup restaurado', 'success', msgEl);
+
+    // A conta de quem restaurou pode não existir no backup
+    if (!appState.usuarioLogado) {
+        handleLogout();
         return;
     }
+    atualizarUI();
+    renderizarProdutos();
+}
 
-    // Verificar se já está no carrinho
-    const itemNoCarrinho = appState.carrinho.find(c => c.id === itemId);
-    if (itemNoCarrinho) {
-        mostrarMensagem('Item já está no carrinho', 'warning');
+function renderizarRestauracao() {
+    const container = document.getElementById('restauracaoResumo');
+    if (!restauracaoPendente) {
+        container.innerHTML = '';
         return;
     }
 
-    appState.carrinho.push(itemEncontrado);
-    atualizarCarrinho();
-    mostrarMensagem('Produto adicionado ao carrinho!', 'success');
+    const { nomeArquivo, criadoEm, resumo, imagensFaltando } = restauracaoPendente;
+    container.innerHTML = `
+        <h3>${sanitizar(nomeArquivo)}</h3>
+        <p class="tab-description">Backup de ${new Date(criadoEm).toLocaleString('pt-BR')} · checksum conferido</p>
+        ${imagensFaltando > 0 ? `
+            <p class="msg warning">
+                ${imagensFaltando} imagem(ns) usada(s) pelos itens e produtores não está(ão) no backup
+                e aparecerá(ão) sem foto se não existir(em) neste navegador.
+            </p>
+        ` : ''}
+        <div class="importacao-tabela">
+            <table>
+                <thead>
+                    <tr><th></th><th>Atual</th><th>Backup</th><th>Novos no backup</th></tr>
+                </thead>
+                <tbody>
+                    ${resumo.map(r => `
+                        <tr><td>${r.nome}</td><td>${r.atual}</td><td>${r.backup}</td><td>${r.novos}</td></tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        </div>
+        <div class="importacao-acoes">
+            <button class="btn btn-danger" onclick="restaurarBackup('substituir')">Substituir tudo</button>
+            <button class="btn btn-primary" onclick="restaurarBackup('mesclar')">Mesclar (só novos)</button>
+            <button class="btn btn-secondary" onclick="cancelarRestauracao()">Cancelar</button>
+        </div>
+    `;
 }
 
-function removerDoCarrinho(itemId) {
-    appState.carrinho = appState.carrinho.filter(item => item.id !== itemId);
-    atualizarCarrinho();
-}
+// ========================================
+// RENDERIZAÇÃO - SEGURANÇA (ADMIN)
+// ========================================
 
-function calcularTotalCarrinho() {
-    return appState.carrinho.reduce((total, item) => total + item.preco, 0);
-}
+function renderizarSessoes() {
+    if (!usuarioTemPermissao(PERMISSOES.GERENCIAR_SEGURANCA)) return;
 
-function atualizarCarrinho() {
-    const container = document.getElementById('carrinhoItems');
-    const totalEl = document.getElementById('totalCarrinho');
-    const finalizarBtn = document.getElementById('finalizarCompraBtn');
+    const container = document.getElementById('sessoesAdminList');
+    const ativas = appState.sessoes.filter(s => !sessaoExpirada(s));
 
-    if (appState.carrinho.length === 0) {
-        container.innerHTML = '<p>Carrinho vazio</p>';
-        finalizarBtn.style.display = 'none';
-        totalEl.textContent = '0.00';
+    if (ativas.length === 0) {
+        container.innerHTML = '<p>Nenhuma sessão ativa.</p>';
         return;
     }
 
+    // Agrupar por conta
+    const porConta = {};
+    ativas.forEach(sessao => {
+        (porConta[sessao.usuarioId] = porConta[sessao.usuarioId] || []).push(sessao);
+    });
+
     let html = '';
-    appState.carrinho.forEach(item => {
+    Object.keys(porConta).forEach(usuarioId => {
+        const conta = buscarConta(usuarioId);
+        const sessoes = porConta[usuarioId];
+        const ultimo = sessoes.map(s => s.ultimoAcesso).sort().pop();
         html += `
-            <div class="carrinho-item">
-                <div class="carrinho-item-info">
-                    <div class="carrinho-item-nome">${sanitizar(item.nome)}</div>
-                    <div class="carrinho-item-preco">R$ ${item.preco.toFixed(2)}</div>
+            <div class="sessao-card">
+                <div class="sessao-info">
+                    <strong>${sanitizar(conta ? conta.nome : usuarioId)}</strong>
+                    <span>${sanitizar(conta ? conta.email : '')}</span>
+                    <span>${sessoes.length} sessão(ões) ativa(s) · último acesso ${new Date(ultimo).toLocaleString('pt-BR')}</span>
                 </div>
-                <button class="carrinho-item-remover" onclick="removerDoCarrinho('${sanitizar(item.id)}')">
-                    Remover
+                <button class="btn btn-danger btn-small" onclick="revogarSessoesUsuario('${sanitizar(usuarioId)}')">
+                    Encerrar sessões
                 </button>
             </div>
         `;
     });
 
     container.innerHTML = html;
-    const total = calcularTotalCarrinho();
-    totalEl.textContent = total.toFixed(2);
-    finalizarBtn.style.display = 'block';
 }
 
-// ========================================
-// CARRINHO - FINALIZAR COMPRA
-// ========================================
+function renderizarBloqueios() {
+    if (!usuarioTemPermissao(PERMISSOES.GERENCIAR_SEGURANCA)) return;
 
-function abrirCheckout() {
-    if (appState.carrinho.length === 0) {
-        mostrarMensagem('Carrinho vazio', 'warning');
+    const container = document.getElementById('bloqueiosAdminList');
+    const agora = Date.now();
+    const bloqueados = Object.keys(appState.tentativasLogin)
+        .filter(email => appState.tentativasLogin[email].bloqueadoAte > agora);
+
+    if (bloqueados.length === 0) {
+        container.innerHTML = '<p>Nenhuma conta bloqueada.</p>';
         return;
     }
 
-    const modal = document.getElementById('checkoutModal');
-    const totalEl = document.getElementById('checkoutTotal');
-    const provedorEl = document.getElementById('checkoutProvedor');
-
-    totalEl.textContent = calcularTotalCarrinho().toFixed(2);
-    provedorEl.textContent = `Provedor: ${appState.configPagamento.provedor === 'stripe' ? 'Stripe' : 'Mercado Pago'}`;
-
-    // Pré-preencher dados do usuário
-    if (usuarioEstaLogado()) {
-        document.getElementById('checkoutNome').value = appState.usuarioLogado.nome;
-        document.getElementById('checkoutEmail').value = appState.usuarioLogado.email;
-    }
+    let html = '';
+    bloqueados.forEach(email => {
+        const registro = appState.tentativasLogin[email];
+        const conta = appState.usuarios.find(u => u.email === email) ||
+            appState.equipe.find(m => m.email === email);
+        html += `
+            <div class="sessao-card bloqueio-card">
+                <div class="sessao-info">
+                    <strong>${sanitizar(email)}</strong>
+                    <span>${conta ? sanitizar(conta.nome) : 'Email não cadastrado'}</span>
+                    <span>${registro.falhas} falha(s) · bloqueado até ${new Date(registro.bloqueadoAte).toLocaleString('pt-BR')}</span>
+                </div>
+                <button class="btn btn-primary btn-small" data-email="${escaparAtributo(email)}"
+                    onclick="desbloquearConta(this.dataset.email)">
+                    Desbloquear
+                </button>
+            </div>
+        `;
+    });
 
-    modal.style.display = 'flex';
+    container.innerHTML = html;
 }
 
-function fecharCheckout() {
-    document.getElementById('checkoutModal').style.display = 'none';
+// ========================================
+// PAINEL ADMIN - EQUIPE
+// ========================================
+
+function contarAdminsAtivos() {
+    return appState.equipe.filter(m => m.role === 'admin' && m.ativo !== false).length;
 }
 
-function handleCheckoutForm(e) {
+async function handleNovoMembroForm(e) {
     e.preventDefault();
 
-    const dados = {
-        nome: sanitizar(document.getElementById('checkoutNome').value),
-        email: sanitizar(document.getElementById('checkoutEmail').value),
-        telefone: sanitizar(document.getElementById('checkoutTelefone').value),
-        endereco: sanitizar(document.getElementById('checkoutEndereco').value),
-        cidade: sanitizar(document.getElementById('checkoutCidade').value),
-        cep: sanitizar(document.getElementById('checkoutCep').value),
-        cartao: document.getElementById('checkoutCartao').value.replace(/\D/g, ''),
-        validade: document.getElementById('checkoutValidade').value,
-        cvv: document.getElementById('checkoutCvv').value
-    };
-
-    // Validar dados
-    const validacao = validarDadosCompra(dados);
-    if (!validacao.valido) {
-        mostrarMensagem(validacao.erro, 'error', document.getElementById('checkoutMsg'));
+    if (!usuarioTemPermissao(PERMISSOES.GERENCIAR_EQUIPE)) {
+        mostrarMensagem('Acesso negado', 'error');
         return;
     }
 
-    // Simular pagamento
-    processarPagamento(dados);
-}
-
-/**
- * Simula processamento de pagamento
- * Em produção, seria integrado com Stripe/Mercado Pago via backend seguro
- */
-function processarPagamento(dados) {
-    const msgEl = document.getElementById('checkoutMsg');
-    mostrarMensagem('Processando pagamento...', 'warning', msgEl);
-
-    // Simular delay de processamento
-    setTimeout(() => {
-        // Simular sucesso/falha (85% sucesso para demo)
-        const sucesso = Math.random() < 0.85;
-
-        if (sucesso) {
-            // Simular integração com provedor configurado
-            if (appState.configPagamento.provedor === 'stripe') {
-                criarPagamentoStripe(dados);
-            } else {
-                criarPagamentoMercadoPago(dados);
-            }
+    const nome = sanitizar(document.getElementById('novoMembroNome').value);
+    const email = sanitizar(document.getElementById('novoMembroEmail').value);
+    const senha = document.getElementById('novoMembroSenha').value;
+    const role = document.getElementById('novoMembroPapel').value;
+    const msgEl = document.getElementById('novoMembroMsg');
 
-            // Finalize a compra
-            finalizarCompraComSucesso(dados);
-        } else {
-            mostrarMensagem('Pagamento recusado. Tente novamente.', 'error', msgEl);
-        }
-    }, 1500);
-}
+    if (!nome || nome.length < 3) {
+        mostrarMensagem('Nome deve ter pelo menos 3 caracteres', 'error', msgEl);
+        return;
+    }
+    if (!validarEmail(email)) {
+        mostrarMensagem('Email inválido', 'error', msgEl);
+        return;
+    }
+    if (!validarSenha(senha)) {
+        mostrarMensagem('Senha deve ter pelo menos 6 caracteres', 'error', msgEl);
+        return;
+    }
+    if (!PAPEIS_EQUIPE[role]) {
+        mostrarMensagem('Papel inválido', 'error', msgEl);
+        return;
+    }
+    if (appState.equipe.some(m => m.email === email)) {
+        mostrarMensagem('Email já cadastrado na equipe', 'error', msgEl);
+        return;
+    }
 
-/**
- * Simula integração com Stripe
- * Em produção: POST request ao backend -> Stripe API
- */
-function criarPagamentoStripe(dados) {
-    console.log('Integrando com Stripe...', {
-        publicKey: appState.configPagamento.stripePublicKey,
-        cartao: dados.cartao.slice(-4),
-        email: dados.email
+    appState.equipe.push({
+        id: 'equipe_' + Date.now(),
+        nome,
+        email,
+        credencial: await gerarCredencialSenha(senha),
+        role,
+        ativo: true
     });
+    salvarDados();
+    mostrarMensagem('Membro adicionado com sucesso!', 'success', msgEl);
+    document.getElementById('novoMembroForm').reset();
+    renderizarEquipe();
 
-    // Simulação: em produção, o backend chamaria Stripe.com/api/v1/charges
-    // com a chave secreta (NUNCA enviar chave secreta para frontend)
-    
-    return {
-        sucesso: true,
-        transacaoId: 'ch_stripe_' + Date.now(),
-        provedor: 'stripe'
-    };
+    setTimeout(() => msgEl.textContent = '', 3000);
 }
 
-/**
- * Simula integração com Mercado Pago
- * Em produção: POST request ao backend -> Mercado Pago API
- */
-function criarPagamentoMercadoPago(dados) {
-    console.log('Integrando com Mercado Pago...', {
-        publicKey: appState.configPagamento.mercadoPagoPublicKey,
-        email: dados.email
-    });
+function alterarPapelMembro(membroId, role) {
+    if (!usuarioTemPermissao(PERMISSOES.GERENCIAR_EQUIPE)) {
+        mostrarMensagem('Acesso negado', 'error');
+        return;
+    }
 
-    // Simulação: em produção, o backend chamaria api.mercadopago.com/v1/payments
-    // com a chave secreta
-    
-    return {
-        sucesso: true,
-        transacaoId: 'mp_' + Date.now(),
-        provedor: 'mercadoPago'
-    };
-}
+    const membro = appState.equipe.find(m => m.id === membroId);
+    if (!membro || !PAPEIS_EQUIPE[role]) return;
 
-/**
- * Finaliza compra após pagamento aprovado
- * Remove itens do estoque dos produtores
- */
-function finalizarCompraComSucesso(dados) {
-    const msgEl = document.getElementById('checkoutMsg');
+    // Nunca deixar a loja sem um administrador ativo
+    if (membro.role === 'admin' && role !== 'admin' && membro.ativo !== false && contarAdminsAtivos() === 1) {
+        mostrarMensagem('A equipe precisa de pelo menos um administrador ativo', 'error');
+        renderizarEquipe();
+        return;
+    }
 
-    // Criar pedido
-    const novoPedido = {
-        id: 'pedido_' + Date.now(),
-        usuarioId: appState.usuarioLogado.id,
-        usuarioNome: dados.nome,
-        usuarioEmail: dados.email,
-        itens: [...appState.carrinho],
-        total: calcularTotalCarrinho(),
-        data: new Date().toISOString(),
-        status: 'confirmado',
-        endereco: dados.endereco,
-        cidade: dados.cidade
-    };
+    membro.role = role;
+    salvarDados();
+    mostrarMensagem(`${membro.nome} agora é ${PAPEIS_EQUIPE[role].nome}`, 'success');
+    atualizarUI();
+}
 
-    // Atualizar estoque: remover itens disponíveis
-    for (let item of novoPedido.itens) {
-        const produtor = appState.produtores.find(p => p.id === item.produtorId);
-        if (produtor) {
-            const itemEstoque = produtor.listaDeItens.find(i => i.id === item.id);
-            if (itemEstoque) {
-                // Marcar como indisponível para impedir venda dupla
-                itemEstoque.disponivel = false;
-            }
-        }
+function alternarAtivoMembro(membroId) {
+    if (!usuarioTemPermissao(PERMISSOES.GERENCIAR_EQUIPE)) {
+        mostrarMensagem('Acesso negado', 'error');
+        return;
     }
 
-    // Adicionar pedido ao histórico
-    appState.pedidos.push(novoPedido);
+    const membro = appState.equipe.find(m => m.id === membroId);
+    if (!membro) return;
 
-    // Adicionar pedido ao usuário
-    if (appState.usuarioLogado.role === 'user') {
-        appState.usuarioLogado.pedidos = appState.usuarioLogado.pedidos || [];
-        appState.usuarioLogado.pedidos.push(novoPedido.id);
+    const desativar = membro.ativo !== false;
+    if (desativar && membro.id === appState.usuarioLogado.id) {
+        mostrarMensagem('Você não pode desativar a própria conta', 'error');
+        return;
+    }
+    if (desativar && membro.role === 'admin' && contarAdminsAtivos() === 1) {
+        mostrarMensagem('A equipe precisa de pelo menos um administrador ativo', 'error');
+        return;
     }
 
-    // Limpar carrinho
-    appState.carrinho = [];
+    membro.ativo = !desativar;
+    if (desativar) {
+        // Conta desativada perde o acesso imediatamente
+        appState.sessoes = appState.sessoes.filter(s => s.usuarioId !== membro.id);
+    }
     salvarDados();
+    renderizarEquipe();
+}
 
-    // Feedback
-    mostrarMensagem(
-        `Compra realizada com sucesso! Pedido: ${novoPedido.id}`,
-        'success',
-        msgEl
-    );
+function renderizarEquipe() {
+    if (!usuarioTemPermissao(PERMISSOES.GERENCIAR_EQUIPE)) return;
 
-    setTimeout(() => {
-        fecharCheckout();
-        atualizarUI();
-        renderizarProdutos();
-    }, 2000);
+    const container = document.getElementById('equipeList');
+    let html = '';
+    appState.equipe.forEach(membro => {
+        const ativo = membro.ativo !== false;
+        const opcoes = Object.keys(PAPEIS_EQUIPE).map(role => `
+            <option value="${role}" ${membro.role === role ? 'selected' : ''}>${PAPEIS_EQUIPE[role].nome}</option>
+        `).join('');
+        html += `
+            <div class="sessao-card equipe-card${ativo ? '' : ' inativo'}">
+                <div class="sessao-info">
+                    <strong>${sanitizar(membro.nome)}${membro.id === appState.usuarioLogado.id ? ' (você)' : ''}</strong>
+                    <span>${sanitizar(membro.email)}</span>
+                    <span>${ativo ? 'Ativo' : 'Desativado'}</span>
+                </div>
+                <div class="equipe-acoes">
+                    <select onchange="alterarPapelMembro('${sanitizar(membro.id)}', this.value)">
+                        ${opcoes}
+                    </select>
+                    <button class="btn ${ativo ? 'btn-danger' : 'btn-primary'} btn-small" 
+                        onclick="alternarAtivoMembro('${sanitizar(membro.id)}')">
+                        ${ativo ? 'Desativar' : 'Reativar'}
+                    </button>
+                </div>
+            </div>
+        `;
+    });
+
+    container.innerHTML = html;
 }
 
 // ========================================
-// PAINEL ADMIN - PRODUTORES
+// PAINEL ADMIN - CUPONS
 // ========================================
 
-function handleNovoProductorForm(e) {
+function lerInteiroOpcional(id) {
+    const valor = document.getElementById(id).value.trim();
+    return valor === '' ? null : Number(valor);
+}
+
+function valoresSelecionados(select) {
+    return [...select.selectedOptions].map(o => o.value).filter(Boolean);
+}
+
+function handleNovoCupomForm(e) {
     e.preventDefault();
 
-    if (!usuarioAtualEhAdmin()) {
+    if (!usuarioTemPermissao(PERMISSOES.GERENCIAR_CUPONS)) {
         mostrarMensagem('Acesso negado', 'error');
         return;
     }
 
-    const nome = sanitizar(document.getElementById('novoProductorNome').value);
-    const email = sanitizar(document.getElementById('novoProductorEmail').value);
-    const msgEl = document.getElementById('novoProductorMsg');
-
-    if (!nome || nome.length < 3) {
-        mostrarMensagem('Nome inválido', 'error', msgEl);
-        return;
-    }
-    if (!validarEmail(email)) {
-        mostrarMensagem('Email inválido', 'error', msgEl);
-        return;
-    }
+    const tipo = document.getElementById('novoCupomTipo').value;
+    const dados = {
+        codigo: normalizarCodigoCupom(document.getElementById('novoCupomCodigo').value),
+        tipo,
+        // Frete grátis não tem valor próprio
+        valor: tipo === 'frete_gratis' ? 0 : parseFloat(document.getElementById('novoCupomValor').value),
+        valorMinimo: parseFloat(document.getElementById('novoCupomMinimo').value || '0'),
+        validoDe: document.getElementById('novoCupomInicio').value,
+        validoAte: document.getElementById('novoCupomFim').value,
+        limiteTotal: lerInteiroOpcional('novoCupomLimiteTotal'),
+        limitePorCliente: lerInteiroOpcional('novoCupomLimiteCliente'),
+        produtorIds: valoresSelecionados(document.getElementById('novoCupomProdutores'))
+            .filter(id => appState.produtores.some(p => p.id === id)),
+        categoriaIds: valoresSelecionados(document.getElementById('novoCupomCategorias'))
+            .filter(id => buscarCategoria(id))
+    };
+    const msgEl = document.getElementById('novoCupomMsg');
 
-    if (appState.produtores.some(p => p.email === email)) {
-        mostrarMensagem('Email já cadastrado', 'error', msgEl);
+    const validacao = validarDadosCupom(dados);
+    if (!validacao.valido) {
+        mostrarMensagem(validacao.erro, 'error', msgEl);
         return;
     }
 
-    const novoProdutor = {
-        id: 'produtor_' + Date.now(),
-        nome,
-        email,
-        listaDeItens: []
-    };
-
-    appState.produtores.push(novoProdutor);
+    appState.cupons.push({
+        id: 'cupom_' + Date.now(),
+        ...dados,
+        ativo: true,
+        criadoEm: new Date().toISOString()
+    });
     salvarDados();
-    mostrarMensagem('Produtor cadastrado com sucesso!', 'success', msgEl);
-    document.getElementById('novoProductorForm').reset();
-    renderizarProdutores();
+    mostrarMensagem(`Cupom ${dados.codigo} criado com sucesso!`, 'success', msgEl);
+    document.getElementById('novoCupomForm').reset();
+    renderizarCupons();
 
     setTimeout(() => msgEl.textContent = '', 3000);
 }
 
-function abrirModalNovoItem(produtorId) {
-    if (!usuarioAtualEhAdmin()) {
+function alternarAtivoCupom(cupomId) {
+    if (!usuarioTemPermissao(PERMISSOES.GERENCIAR_CUPONS)) {
         mostrarMensagem('Acesso negado', 'error');
         return;
     }
 
-    document.getElementById('novoItemProductorId').value = produtorId;
-    document.getElementById('novoItemModal').style.display = 'flex';
-}
+    const cupom = appState.cupons.find(c => c.id === cupomId);
+    if (!cupom) return;
 
-function fecharModal() {
-    document.getElementById('novoItemModal').style.display = 'none';
-    document.getElementById('novoItemForm').reset();
+    cupom.ativo = !cupom.ativo;
+    salvarDados();
+    renderizarCupons();
 }
 
-function handleNovoItemForm(e) {
-    e.preventDefault();
-
-    if (!usuarioAtualEhAdmin()) {
+/**
+ * Cupons já usados ficam no histórico dos pedidos: esses só podem ser desativados
+ */
+function excluirCupom(cupomId) {
+    if (!usuarioTemPermissao(PERMISSOES.GERENCIAR_CUPONS)) {
         mostrarMensagem('Acesso negado', 'error');
         return;
     }
 
-    const produtorId = document.getElementById('novoItemProductorId').value;
-    const nome = sanitizar(document.getElementById('novoItemNome').value);
-    const descricao = sanitizar(document.getElementById('novoItemDescricao').value);
-    const preco = parseFloat(document.getElementById('novoItemPreco').value);
-    const msgEl = document.getElementById('novoItemMsg');
-
-    if (!nome || !descricao) {
-        mostrarMensagem('Preencha todos os campos', 'error', msgEl);
-        return;
-    }
-    if (preco <= 0) {
-        mostrarMensagem('Preço deve ser maior que zero', 'error', msgEl);
-        return;
-    }
+    const cupom = appState.cupons.find(c => c.id === cupomId);
+    if (!cupom) return;
 
-    const produtor = appState.produtores.find(p => p.id === produtorId);
-    if (!produtor) {
-        mostrarMensagem('Produtor não encontrado', 'error', msgEl);
+    if (appState.pedidos.some(p => p.cupom?.id === cupomId)) {
+        mostrarMensagem('Cupom já usado em pedidos: desative-o em vez de excluir', 'error');
         return;
     }
+    if (!confirm(`Excluir o cupom ${cupom.codigo}?`)) return;
 
-    const novoItem = {
-        id: 'item_' + Date.now(),
-        nome,
-        descricao,
-        preco,
-        produtorId,
-        disponivel: true
-    };
-
-    produtor.listaDeItens.push(novoItem);
+    appState.cupons = appState.cupons.filter(c => c.id !== cupomId);
     salvarDados();
-    mostrarMensagem('Item adicionado com sucesso!', 'success', msgEl);
-    fecharModal();
-    renderizarProdutos();
-    renderizarProdutores();
-
-    setTimeout(() => msgEl.textContent = '', 3000);
+    renderizarCupons();
 }
 
-function removerProdutor(produtorId) {
-    if (!usuarioAtualEhAdmin()) {
-        mostrarMensagem('Acesso negado', 'error');
-        return;
-    }
+function descreverRegrasCupom(cupom) {
+    const regras = [];
+    if (cupom.tipo === 'percentual') regras.push(`${cupom.valor}% de desconto`);
+    if (cupom.tipo === 'valor_fixo') regras.push(`R$ ${cupom.valor.toFixed(2)} de desconto`);
+    if (cupom.tipo === 'frete_gratis') regras.push('Frete grátis');
+    if (cupom.valorMinimo > 0) regras.push(`mínimo R$ ${cupom.valorMinimo.toFixed(2)}`);
 
-    if (confirm('Tem certeza? Isso removerá todos os itens associados.')) {
-        appState.produtores = appState.produtores.filter(p => p.id !== produtorId);
-        salvarDados();
-        renderizarProdutores();
-        renderizarProdutos();
+    const data = d => new Date(d + 'T00:00:00').toLocaleDateString('pt-BR');
+    if (cupom.validoDe) regras.push(`a partir de ${data(cupom.validoDe)}`);
+    if (cupom.validoAte) regras.push(`até ${data(cupom.validoAte)}`);
+
+    if (cupom.produtorIds.length > 0) {
+        const nomes = cupom.produtorIds.map(id => appState.produtores.find(p => p.id === id)?.nome || 'produtor removido');
+        regras.push(`produtores: ${nomes.join(', ')}`);
     }
+    if (cupom.categoriaIds.length > 0) {
+        const nomes = cupom.categoriaIds.map(id => buscarCategoria(id) ? caminhoCategoria(id) : 'categoria removida');
+        regras.push(`categorias: ${nomes.join(', ')}`);
+    }
+    return regras.join(' · ');
 }
 
-function removerItemProdutor(produtorId, itemId) {
-    if (!usuarioAtualEhAdmin()) {
-        mostrarMensagem('Acesso negado', 'error');
+function renderizarCupons() {
+    if (!usuarioTemPermissao(PERMISSOES.GERENCIAR_CUPONS)) return;
+
+    const produtoresSelect = document.getElementById('novoCupomProdutores');
+    const selecionados = valoresSelecionados(produtoresSelect);
+    produtoresSelect.innerHTML = appState.produtores.map(p => `
+        <option value="${sanitizar(p.id)}" ${selecionados.includes(p.id) ? 'selected' : ''}>${sanitizar(p.nome)}</option>
+    `).join('');
+
+    const categoriasSelect = document.getElementById('novoCupomCategorias');
+    const categoriasSelecionadas = valoresSelecionados(categoriasSelect);
+    categoriasSelect.innerHTML = categoriasEmArvore().map(({ categoria, profundidade }) => `
+        <option value="${sanitizar(categoria.id)}" ${categoriasSelecionadas.includes(categoria.id) ? 'selected' : ''}>
+            ${'— '.repeat(profundidade)}${sanitizar(categoria.nome)}
+        </option>
+    `).join('');
+
+    const container = document.getElementById('cuponsList');
+    if (appState.cupons.length === 0) {
+        container.innerHTML = '<p>Nenhum cupom cadastrado.</p>';
         return;
     }
 
-    const produtor = appState.produtores.find(p => p.id === produtorId);
-    if (produtor) {
-        produtor.listaDeItens = produtor.listaDeItens.filter(i => i.id !== itemId);
-        salvarDados();
-        renderizarProdutores();
-        renderizarProdutos();
-    }
+    container.innerHTML = appState.cupons.map(cupom => {
+        const id = sanitizar(cupom.id);
+        const usos = contarUsosCupom(cupom.id);
+        return `
+            <div class="sessao-card cupom-card${cupom.ativo ? '' : ' inativo'}">
+                <div class="sessao-info">
+                    <strong class="cupom-codigo">${sanitizar(cupom.codigo)}</strong>
+                    <span>${sanitizar(descreverRegrasCupom(cupom))}</span>
+                    <span>
+                        ${usos}${cupom.limiteTotal ? ` de ${cupom.limiteTotal}` : ''} uso(s)
+                        ${cupom.limitePorCliente ? ` · até ${cupom.limitePorCliente} por cliente` : ''}
+                        · ${cupom.ativo ? 'Ativo' : 'Desativado'}
+                    </span>
+                </div>
+                <div class="equipe-acoes">
+                    <button class="btn ${cupom.ativo ? 'btn-secondary' : 'btn-primary'} btn-small"
+                        onclick="alternarAtivoCupom('${id}')">
+                        ${cupom.ativo ? 'Desativar' : 'Reativar'}
+                    </button>
+                    <button class="btn btn-danger btn-small" onclick="excluirCupom('${id}')">Excluir</button>
+                </div>
+            </div>
+        `;
+    }).join('');
 }
 
 // ========================================
-// RENDERIZAÇÃO DE UI - PRODUTOS
+// PAINEL ADMIN - FRETE
 // ========================================
 
-function renderizarProdutos() {
-    const container = document.getElementById('produtosList');
+function handleConfigFreteForm(e) {
+    e.preventDefault();
 
-    // Coletar todos os itens disponíveis de todos os produtores
-    let todosItens = [];
-    for (let produtor of appState.produtores) {
-        for (let item of produtor.listaDeItens) {
-            if (item.disponivel) {
-                todosItens.push({
-                    ...item,
-                    produtorNome: produtor.nome
-                });
-            }
-        }
+    if (!usuarioTemPermissao(PERMISSOES.CONFIGURAR_FRETE)) {
+        mostrarMensagem('Acesso negado', 'error');
+        return;
     }
 
-    if (todosItens.length === 0) {
-        container.innerHTML = '<p>Nenhum produto disponível no momento.</p>';
+    const minimoTexto = document.getElementById('freteGratisAcima').value.trim();
+    const freteGratisAcima = minimoTexto === '' ? null : parseFloat(minimoTexto);
+    const ativa = document.getElementById('freteRetiradaAtiva').checked;
+    const endereco = sanitizar(document.getElementById('freteRetiradaEndereco').value.trim());
+    const msgEl = document.getElementById('configFreteMsg');
+
+    if (freteGratisAcima !== null && !(freteGratisAcima >= 0)) {
+        mostrarMensagem('Valor para frete grátis deve ser maior ou igual a zero', 'error', msgEl);
+        return;
+    }
+    if (ativa && endereco.length < 5) {
+        mostrarMensagem('Informe o endereço de retirada', 'error', msgEl);
         return;
     }
 
-    let html = '';
-    todosItens.forEach(item => {
-        html += `
-            <div class="produto-card">
-                <h3>${sanitizar(item.nome)}</h3>
-                <p>${sanitizar(item.descricao)}</p>
-                <div class="produto-produtor">Por: ${sanitizar(item.produtorNome)}</div>
-                <div class="produto-preco">R$ ${item.preco.toFixed(2)}</div>
-                <button class="btn btn-primary" onclick="adicionarAoCarrinho('${sanitizar(item.id)}')">
-                    Adicionar ao Carrinho
-                </button>
-            </div>
-        `;
-    });
+    appState.frete.freteGratisAcima = freteGratisAcima;
+    appState.frete.retiradaLocal = { ativa, endereco };
+    salvarDados();
+    mostrarMensagem('Regras de frete salvas!', 'success', msgEl);
 
-    container.innerHTML = html;
+    setTimeout(() => msgEl.textContent = '', 3000);
 }
 
-// ========================================
-// RENDERIZAÇÃO DE UI - PRODUTORES (ADMIN)
-// ========================================
+function handleNovaZonaFreteForm(e) {
+    e.preventDefault();
 
-function renderizarProdutores() {
-    if (!usuarioAtualEhAdmin()) return;
+    if (!usuarioTemPermissao(PERMISSOES.CONFIGURAR_FRETE)) {
+        mostrarMensagem('Acesso negado', 'error');
+        return;
+    }
 
-    const container = document.getElementById('produtoresList');
+    const dados = {
+        nome: sanitizar(document.getElementById('novaZonaNome').value.trim()),
+        cepInicio: normalizarCep(document.getElementById('novaZonaCepInicio').value),
+        cepFim: normalizarCep(document.getElementById('novaZonaCepFim').value),
+        taxaBase: parseFloat(document.getElementById('novaZonaTaxaBase').value || '0'),
+        taxaPorKg: parseFloat(document.getElementById('novaZonaTaxaKg').value || '0'),
+        taxaPorItem: parseFloat(document.getElementById('novaZonaTaxaItem').value || '0'),
+        prazoDias: parseInt(document.getElementById('novaZonaPrazo').value, 10)
+    };
+    const msgEl = document.getElementById('novaZonaFreteMsg');
 
-    if (appState.produtores.length === 0) {
-        container.innerHTML = '<p>Nenhum produtor cadastrado.</p>';
+    const validacao = validarZonaFrete(dados);
+    if (!validacao.valido) {
+        mostrarMensagem(validacao.erro, 'error', msgEl);
         return;
     }
 
-    let html = '';
-    appState.produtores.forEach(produtor => {
-        html += `
-            <div class="produtor-card">
-                <h3>${sanitizar(produtor.nome)}</h3>
-                <div class="produtor-email">${sanitizar(produtor.email)}</div>
+    appState.frete.zonas.push({ id: 'zona_' + Date.now(), ...dados });
+    salvarDados();
+    mostrarMensagem('Zona de frete adicionada!', 'success', msgEl);
+    document.getElementById('novaZonaFreteForm').reset();
+    renderizarFrete();
 
-                <div class="produtor-itens">
-                    <strong>Itens no estoque (${produtor.listaDeItens.length}):</strong>
-        `;
+    setTimeout(() => msgEl.textContent = '', 3000);
+}
 
-        if (produtor.listaDeItens.length === 0) {
-            html += '<p>Nenhum item cadastrado</p>';
-        } else {
-            produtor.listaDeItens.forEach(item => {
-                const statusDisp = item.disponivel ? '✓ Disponível' : '✗ Vendido';
-                html += `
-                    <div class="produtor-item">
-                        <div class="produtor-item-info">
-                            <strong>${sanitizar(item.nome)}</strong><br>
-                            ${sanitizar(item.descricao)}<br>
-                            <span class="produtor-item-preco">R$ ${item.preco.toFixed(2)}</span>
-                            <span class="produtor-item-status">${statusDisp}</span>
-                        </div>
-                        <button class="btn btn-danger btn-small" 
-                            onclick="removerItemProdutor('${sanitizar(produtor.id)}', '${sanitizar(item.id)}')">
-                            Remover
-                        </button>
-                    </div>
-                `;
-            });
-        }
+/**
+ * Pedidos guardam a descrição e o valor do frete: remover a zona não altera o histórico
+ */
+function removerZonaFrete(zonaId) {
+    if (!usuarioTemPermissao(PERMISSOES.CONFIGURAR_FRETE)) {
+        mostrarMensagem('Acesso negado', 'error');
+        return;
+    }
 
-        html += `
-                </div>
-                <button class="btn btn-primary" onclick="abrirModalNovoItem('${sanitizar(produtor.id)}')">
-                    + Adicionar Item
-                </button>
-                <button class="btn btn-danger" onclick="removerProdutor('${sanitizar(produtor.id)}')">
-                    Remover Produtor
-                </button>
-            </div>
-        `;
-    });
+    const zona = appState.frete.zonas.find(z => z.id === zonaId);
+    if (!zona || !confirm(`Remover a zona ${zona.nome}?`)) return;
 
-    container.innerHTML = html;
+    appState.frete.zonas = appState.frete.zonas.filter(z => z.id !== zonaId);
+    salvarDados();
+    renderizarFrete();
 }
 
-// ========================================
-// RENDERIZAÇÃO - PEDIDOS
-// ========================================
-
-function renderizarPedidos() {
-    let container;
-    let pedidosParaMostrar = [];
-
-    if (usuarioAtualEhAdmin()) {
-        // Admin vê todos os pedidos
-        container = document.getElementById('pedidosAdminList');
-        pedidosParaMostrar = appState.pedidos;
-    } else if (usuarioEstaLogado() && appState.usuarioLogado.role === 'user') {
-        // Usuário vê apenas seus pedidos
-        container = document.getElementById('meusPedidosList');
-        const meusIds = appState.usuarioLogado.pedidos || [];
-        pedidosParaMostrar = appState.pedidos.filter(p => meusIds.includes(p.id));
-    }
+function renderizarFrete() {
+    if (!usuarioTemPermissao(PERMISSOES.CONFIGURAR_FRETE)) return;
 
-    if (!container) return;
+    const { freteGratisAcima, retiradaLocal } = appState.frete;
+    document.getElementById('freteGratisAcima').value = freteGratisAcima ?? '';
+    document.getElementById('freteRetiradaAtiva').checked = retiradaLocal.ativa;
+    document.getElementById('freteRetiradaEndereco').value = decodificarHtml(retiradaLocal.endereco);
 
-    if (pedidosParaMostrar.length === 0) {
-        container.innerHTML = '<p>Nenhum pedido encontrado.</p>';
+    const container = document.getElementById('zonasFreteList');
+    if (appState.frete.zonas.length === 0) {
+        container.innerHTML = '<p>Nenhuma zona cadastrada: só a retirada no local (se ativa) fica disponível.</p>';
         return;
     }
 
-    let html = '';
-    pedidosParaMostrar.forEach(pedido => {
-        let itensHtml = '';
-        pedido.itens.forEach(item => {
-            itensHtml += `
-                <div class="pedido-item">
-                    ${sanitizar(item.nome)} - R$ ${item.preco.toFixed(2)}
-                </div>
-            `;
-        });
-
-        html += `
-            <div class="pedido-card">
-                <div class="pedido-header">
-                    <div>
-                        <div class="pedido-id">Pedido: ${sanitizar(pedido.id)}</div>
-                        <div style="color: #d1d5db; font-size: 0.9rem;">
-                            ${new Date(pedido.data).toLocaleDateString('pt-BR')}
-                        </div>
-                    </div>
-                    <div class="pedido-status">${pedido.status}</div>
-                </div>
-                <div class="pedido-itens">
-                    ${itensHtml}
-                </div>
-                <div class="pedido-total">Total: R$ ${pedido.total.toFixed(2)}</div>
-                <div style="color: #9ca3af; font-size: 0.85rem; margin-top: 0.5rem;">
-                    ${sanitizar(pedido.usuarioNome)} | ${sanitizar(pedido.endereco)}, ${sanitizar(pedido.cidade)}
-                </div>
+    // Faixas mais estreitas primeiro, na ordem em que têm prioridade
+    const zonas = [...appState.frete.zonas].sort((a, b) => larguraZonaFrete(a) - larguraZonaFrete(b));
+    container.innerHTML = zonas.map(zona => `
+        <div class="sessao-card zona-frete-card">
+            <div class="sessao-info">
+                <strong>${sanitizar(zona.nome)}</strong>
+                <span>CEP ${formatarCep(zona.cepInicio)} a ${formatarCep(zona.cepFim)} · até ${zona.prazoDias} dia(s) útil(eis)</span>
+                <span>
+                    R$ ${zona.taxaBase.toFixed(2)} + R$ ${zona.taxaPorKg.toFixed(2)}/kg
+                    + R$ ${zona.taxaPorItem.toFixed(2)}/item
+                </span>
             </div>
-        `;
-    });
-
-    container.innerHTML = html;
+            <div class="equipe-acoes">
+                <button class="btn btn-danger btn-small" onclick="removerZonaFrete('${sanitizar(zona.id)}')">Remover</button>
+            </div>
+        </div>
+    `).join('');
 }
 
 // ========================================
@@ -1057,7 +6823,7 @@ function renderizarPedidos() {
 function handleConfigPagamentoForm(e) {
     e.preventDefault();
 
-    if (!usuarioAtualEhAdmin()) {
+    if (!usuarioTemPermissao(PERMISSOES.CONFIGURAR_PAGAMENTO)) {
         mostrarMensagem('Acesso negado', 'error');
         return;
     }
@@ -1093,7 +6859,88 @@ function handleConfigPagamentoForm(e) {
 // NAVEGAÇÃO E SEÇÕES
 // ========================================
 
-function mostrarSecao(secao) {
+/*
+ * As rotas ficam no hash (#/produto/item_001) para funcionar em hospedagem
+ * estática; a query string continua com os filtros da vitrine. Toda troca de
+ * tela passa por mostrarSecao, que mantém o bloqueio do painel admin.
+ */
+
+let secaoAtual = 'loja';
+
+// Endereço padrão de cada seção (as telas de detalhe informam o próprio)
+const ROTAS_DAS_SECOES = {
+    loja: '#/loja',
+    conta: '#/conta',
+    produtor: '#/portal',
+    admin: '#/admin'
+};
+
+// Primeiro segmento do hash -> tela; o segundo segmento vai como parâmetro
+const ROTAS = {
+    loja: () => mostrarSecao('loja'),
+    produto: id => id ? abrirDetalheProduto(id) : mostrarSecao('loja'),
+    produtor: id => id ? abrirPerfilProdutor(id) : mostrarSecao('loja'),
+    portal: () => mostrarSecao('produtor'),
+    conta: () => mostrarSecao('conta'),
+    pedidos: id => id ? abrirDetalhePedido(id) : mostrarSecao('conta'),
+    admin: aba => abrirAbaAdmin(aba)
+};
+
+function aplicarRota() {
+    const [nome = '', parametro] = location.hash.replace(/^#\/?/, '').split('/');
+    let valor = null;
+    try {
+        valor = parametro ? decodeURIComponent(parametro) : null;
+    } catch (e) {
+        // Parâmetro malformado: trata como rota sem parâmetro
+    }
+    const abrir = ROTAS[nome] || ROTAS.loja;
+    abrir(valor);
+}
+
+/**
+ * Navega criando entrada no histórico (o botão voltar do navegador desfaz)
+ */
+function navegar(rota) {
+    if (location.hash === rota) {
+        aplicarRota();
+    } else {
+        location.hash = rota;
+    }
+}
+
+function ativarAbaAdmin(aba) {
+    document.querySelectorAll('.tab-btn').forEach(b => b.classList.toggle('active', b.dataset.tab === aba));
+    document.querySelectorAll('.tab-content').forEach(c => c.classList.toggle('active', c.id === aba + 'Tab'));
+}
+
+/**
+ * Rota #/admin/:aba: o bloqueio do painel fica em mostrarSecao; abas que o
+ * papel não pode ver caem na primeira aba liberada
+ */
+function abrirAbaAdmin(aba) {
+    mostrarSecao('admin');
+    if (secaoAtual !== 'admin') return;
+
+    const botao = [...document.querySelectorAll('.tab-btn')].find(b => b.dataset.tab === aba);
+    if (botao && botao.style.display !== 'none') {
+        ativarAbaAdmin(aba);
+    } else if (aba) {
+        mostrarMensagem('Aba não disponível para o seu papel', 'warning');
+    }
+
+    const ativa = document.querySelector('.tab-btn.active');
+    if (ativa) {
+        history.replaceState(null, '', location.pathname + location.search + '#/admin/' + ativa.dataset.tab);
+    }
+}
+
+/**
+ * Exibe uma seção. rota é o hash a deixar na barra de endereço; sem ela vale
+ * o endereço padrão da seção. Redirecionamentos (ex.: acesso negado) também
+ * corrigem o endereço, sem criar entrada no histórico.
+ */
+function mostrarSecao(secao, rota = null) {
     // Ocultar todas as seções
     document.querySelectorAll('.section').forEach(s => s.classList.remove('active'));
     document.querySelectorAll('.nav-btn').forEach(b => b.classList.remove('active'));
@@ -1105,6 +6952,20 @@ function mostrarSecao(secao) {
         return;
     }
 
+    if (secao === 'admin') {
+        atualizarAbasAdmin();
+        renderizarPainelAdmin();
+    }
+
+    if (secao === 'produtor' && !usuarioEhProdutor()) {
+        mostrarSecao('loja');
+        return;
+    }
+
+    if (secao === 'produtor') {
+        renderizarPortalProdutor();
+    }
+
     // Mostrar seção
     const sectionEl = document.getElementById(secao + 'Section');
     if (sectionEl) {
@@ -1113,39 +6974,102 @@ function mostrarSecao(secao) {
 
     // Ativar botão de navegação
     document.querySelector(`[data-section="${secao}"]`)?.classList.add('active');
+
+    secaoAtual = secao;
+    const destino = rota || ROTAS_DAS_SECOES[secao];
+    // A loja sem hash é a página inicial: não acrescenta #/loja ao endereço
+    if (destino && location.hash !== destino && !(secao === 'loja' && !location.hash)) {
+        history.replaceState(null, '', location.pathname + location.search + destino);
+    }
+}
+
+/**
+ * Mostra só as abas do painel permitidas ao papel do usuário
+ * (data-permissao lista as permissões que liberam cada aba)
+ */
+function atualizarAbasAdmin() {
+    let ativaVisivel = false;
+    document.querySelectorAll('.tab-btn').forEach(btn => {
+        const visivel = btn.dataset.permissao.split(',').some(p => usuarioTemPermissao(p));
+        btn.style.display = visivel ? '' : 'none';
+        if (!visivel) {
+            btn.classList.remove('active');
+            document.getElementById(btn.dataset.tab + 'Tab').classList.remove('active');
+        } else if (btn.classList.contains('active')) {
+            ativaVisivel = true;
+        }
+    });
+
+    const novoProdutorBox = document.getElementById('novoProductorBox');
+    if (novoProdutorBox) {
+        novoProdutorBox.style.display = usuarioTemPermissao(PERMISSOES.GERENCIAR_PRODUTORES) ? '' : 'none';
+    }
+
+    if (!ativaVisivel) {
+        const primeira = [...document.querySelectorAll('.tab-btn')].find(b => b.style.display !== 'none');
+        if (primeira) {
+            primeira.classList.add('active');
+            document.getElementById(primeira.dataset.tab + 'Tab').classList.add('active');
+        }
+    }
+}
+
+/**
+ * Redesenha as listas do painel (cada uma confere a própria permissão)
+ */
+function renderizarPainelAdmin() {
+    renderizarProdutores();
+    renderizarArquivados();
+    renderizarCategorias();
+    renderizarCupons();
+    renderizarFrete();
+    renderizarPedidos();
+    renderizarSessoes();
+    renderizarBloqueios();
+    renderizarEquipe();
 }
 
 function atualizarUI() {
     const userDisplay = document.getElementById('userDisplay');
     const logoutBtn = document.getElementById('logoutBtn');
     const adminLinks = document.querySelectorAll('.admin-only');
+    const produtorLinks = document.querySelectorAll('.produtor-only');
     const meusPedidosBox = document.getElementById('meusPedidosBox');
     const loginButtonsContainer = document.getElementById('loginButtonsContainer');
-    const finalizarBtn = document.getElementById('finalizarCompraBtn');
 
     if (usuarioEstaLogado()) {
-        userDisplay.textContent = `${appState.usuarioLogado.nome} (${appState.usuarioLogado.role})`;
+        const papel = PAPEIS_EQUIPE[appState.usuarioLogado.role];
+        const rotuloPapel = usuarioAtualEhAdmin() && papel ? papel.nome : appState.usuarioLogado.role;
+        userDisplay.textContent = `${appState.usuarioLogado.nome} (${rotuloPapel})`;
         logoutBtn.style.display = 'inline-block';
 
+        produtorLinks.forEach(link => link.classList.toggle('visible', usuarioEhProdutor()));
+
         if (usuarioAtualEhAdmin()) {
-            adminLinks.forEach(link => link.style.display = 'block');
+            adminLinks.forEach(link => link.classList.add('visible'));
+            atualizarAbasAdmin();
+            renderizarPainelAdmin();
+        } else if (usuarioEhProdutor()) {
+            adminLinks.forEach(link => link.classList.remove('visible'));
+            renderizarPortalProdutor();
         } else {
-            adminLinks.forEach(link => link.style.display = 'none');
+            adminLinks.forEach(link => link.classList.remove('visible'));
             if (meusPedidosBox) meusPedidosBox.style.display = 'block';
         }
 
-        finalizarBtn.style.display = 'block';
         if (loginButtonsContainer) loginButtonsContainer.style.display = 'none';
     } else {
         userDisplay.textContent = 'Não autenticado';
         logoutBtn.style.display = 'none';
-        adminLinks.forEach(link => link.style.display = 'none');
+        adminLinks.forEach(link => link.classList.remove('visible'));
+        produtorLinks.forEach(link => link.classList.remove('visible'));
         if (meusPedidosBox) meusPedidosBox.style.display = 'none';
-        finalizarBtn.style.display = 'none';
         if (loginButtonsContainer) loginButtonsContainer.style.display = 'grid';
-        appState.carrinho = [];
-        atualizarCarrinho();
     }
+
+    // Visitantes também montam carrinho; o botão de finalizar depende só dos itens
+    atualizarCarrinho();
+    renderizarDetalhePedido();
 }
 
 function mostrarMensagem(texto, tipo, elementoMsg = null) {
@@ -1165,34 +7089,42 @@ function mostrarMensagem(texto, tipo, elementoMsg = null) {
 // INICIALIZAÇÃO E EVENT LISTENERS
 // ========================================
 
-document.addEventListener('DOMContentLoaded', () => {
-    // Carregar dados
-    carregarDados();
+document.addEventListener('DOMContentLoaded', async () => {
+    // Carregar dados (sem eles, apenas a tela de recuperação fica ativa)
+    if (!await carregarDados()) {
+        return;
+    }
     carregarConfigPagamento();
 
-    // Atualizar UI
+    // Retomar sessão deste navegador
+    restaurarSessao();
+    setInterval(verificarSessaoAtiva, SESSAO_VERIFICACAO_INTERVALO_MS);
+    ['click', 'keydown'].forEach(evento => {
+        document.addEventListener(evento, registrarAtividadeSessao, { passive: true });
+    });
+
+    // Restaurar carrinho salvo (do usuário logado ou do visitante)
+    appState.carrinho = carregarCarrinhoSalvo(chaveCarrinhoAtual());
+    avisarRevalidacaoCarrinho(revalidarCarrinho());
+
+    // Atualizar UI (filtros da vitrine e a tela podem vir de um link compartilhado)
+    lerFiltrosLojaDaUrl();
     atualizarUI();
     renderizarProdutos();
-    if (usuarioAtualEhAdmin()) {
-        renderizarProdutores();
-        renderizarPedidos();
-    }
+    aplicarRota();
+    window.addEventListener('hashchange', aplicarRota);
 
     // Navegação
     document.querySelectorAll('.nav-btn').forEach(btn => {
         btn.addEventListener('click', () => {
-            mostrarSecao(btn.dataset.section);
+            navegar(ROTAS_DAS_SECOES[btn.dataset.section]);
         });
     });
 
     // Tabs de admin
     document.querySelectorAll('.tab-btn').forEach(btn => {
         btn.addEventListener('click', () => {
-            document.querySelectorAll('.tab-btn').forEach(b => b.classList.remove('active'));
-            document.querySelectorAll('.tab-content').forEach(c => c.classList.remove('active'));
-            btn.classList.add('active');
-            document.getElementById(btn.dataset.tab + 'Tab').classList.add('active');
-            renderizarPedidos();
+            navegar('#/admin/' + btn.dataset.tab);
         });
     });
 
@@ -1200,10 +7132,24 @@ document.addEventListener('DOMContentLoaded', () => {
     document.getElementById('loginForm').addEventListener('submit', handleLoginForm);
     document.getElementById('registroForm').addEventListener('submit', handleRegistroForm);
     document.getElementById('loginAdminForm').addEventListener('submit', handleLoginAdminForm);
+    document.getElementById('loginProdutorForm').addEventListener('submit', handleLoginProdutorForm);
+    document.getElementById('registroProdutorForm').addEventListener('submit', handleRegistroProdutorForm);
+    document.getElementById('editarProdutorForm').addEventListener('submit', handleEditarProdutorForm);
+    document.getElementById('novaCategoriaForm').addEventListener('submit', handleNovaCategoriaForm);
+    document.getElementById('novoCupomForm').addEventListener('submit', handleNovoCupomForm);
+    document.getElementById('configFreteForm').addEventListener('submit', handleConfigFreteForm);
+    document.getElementById('novaZonaFreteForm').addEventListener('submit', handleNovaZonaFreteForm);
+    const filtrosLojaForm = document.getElementById('filtrosLojaForm');
+    filtrosLojaForm.addEventListener('input', aplicarFiltrosLoja);
+    filtrosLojaForm.addEventListener('submit', e => e.preventDefault());
+    const filtrosPedidosForm = document.getElementById('filtrosPedidosForm');
+    filtrosPedidosForm.addEventListener('input', aplicarFiltrosPedidos);
+    filtrosPedidosForm.addEventListener('submit', e => e.preventDefault());
     document.getElementById('novoProductorForm').addEventListener('submit', handleNovoProductorForm);
     document.getElementById('novoItemForm').addEventListener('submit', handleNovoItemForm);
     document.getElementById('checkoutForm').addEventListener('submit', handleCheckoutForm);
     document.getElementById('configPagamentoForm').addEventListener('submit', handleConfigPagamentoForm);
+    document.getElementById('novoMembroForm').addEventListener('submit', handleNovoMembroForm);
 
     // Logout
     document.getElementById('logoutBtn').addEventListener('click', handleLogout);